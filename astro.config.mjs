@@ -4,12 +4,24 @@ import { defineConfig } from 'astro/config';
 import react from '@astrojs/react';
 import tailwindcss from '@tailwindcss/vite';
 
+import { AMBER_CRT_THEME } from './src/config/codeTheme.js';
+import { COMPACT_GRAMMAR } from './src/config/compactGrammar.js';
+import { codeBlockTransformer } from './src/utils/codeBlocks.js';
+
 // https://astro.build/config
 export default defineConfig({
   site: 'https://solidsnakedev.github.io',
   integrations: [react()],
 
+  markdown: {
+    shikiConfig: {
+      theme: AMBER_CRT_THEME,
+      langs: [COMPACT_GRAMMAR],
+      transformers: [codeBlockTransformer]
+    }
+  },
+
   vite: {
     plugins: [tailwindcss()]
   }
-});
\ No newline at end of file
+});
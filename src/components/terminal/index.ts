@@ -14,9 +14,17 @@ export { default as CardGrid } from './CardGrid.astro';
 export { default as Section } from './Section.astro';
 export { default as StatusBar } from './StatusBar.astro';
 export { default as CursorBlock } from './CursorBlock.astro';
+export { default as Prose } from './Prose.astro';
 
 // Primitives
 export { default as BracketHeader } from './BracketHeader.astro';
 export { default as Divider } from './Divider.astro';
 export { default as ProgressBar } from './ProgressBar.astro';
+export { default as Pagination } from './Pagination.astro';
+export { default as TableOfContents } from './TableOfContents.astro';
 
+// Charts
+export { default as Sparkline } from './Sparkline.astro';
+export { default as BarChart } from './BarChart.astro';
+export { default as Heatmap } from './Heatmap.astro';
+export { default as LineChart } from './LineChart.astro';
@@ -0,0 +1,55 @@
+/**
+ * Boot sequence played by TerminalIntro
+ *
+ * A script is a list of steps:
+ *   { type: 'line', text, status?, delay? }  POST line; status ('OK' | 'WARN' | 'FAIL')
+ *                                           is printed after `delay` ms
+ *   { type: 'progress', label, duration }   ASCII progress bar filling over `duration` ms
+ *   { type: 'pause', duration }             Hold
+ *   { type: 'logo' }                        Type the site name and glitch it (ANIMATION_TIMINGS.intro)
+ *
+ * Every timing is randomised by ± BOOT_DEFAULTS.jitter unless a step sets its own `jitter`.
+ * Route variants replace the default script on matching paths; the longest
+ * matching prefix wins, so '/blog' also covers '/blog/some-post'.
+ */
+
+export const BOOT_DEFAULTS = {
+  // Gap after each line (ms)
+  lineDelay: 90,
+  // Wait before a status appears (ms)
+  statusDelay: 160,
+  jitter: 0.4,
+  progressWidth: 24
+};
+
+const BIOS_HEADER = [
+  { type: 'line', text: 'SSD-BIOS v2.6  (C) 1987-2026 SOLIDSNAKEDEV SYSTEMS' },
+  { type: 'line', text: 'CPU: Z80-COMPATIBLE @ 4.77 MHZ', status: 'OK' },
+  { type: 'progress', label: 'MEMORY TEST 640K', duration: 450 },
+  { type: 'line', text: 'DETECTING PHOSPHOR DISPLAY', status: 'OK' }
+];
+
+export const BOOT_SCRIPTS = {
+  default: [
+    ...BIOS_HEADER,
+    { type: 'line', text: 'LOADING TERMINAL SHELL', status: 'OK' },
+    { type: 'pause', duration: 150 },
+    { type: 'logo' }
+  ],
+  routes: {
+    '/blog': [
+      ...BIOS_HEADER,
+      { type: 'line', text: 'MOUNTING /DEV/BLOG', status: 'OK' },
+      { type: 'progress', label: 'INDEXING ARCHIVE', duration: 350 },
+      { type: 'pause', duration: 150 },
+      { type: 'logo' }
+    ],
+    '/projects': [
+      ...BIOS_HEADER,
+      { type: 'line', text: 'MOUNTING /DEV/PROJECTS', status: 'OK' },
+      { type: 'line', text: 'LINKING BUILD ARTIFACTS', status: 'WARN', delay: 300 },
+      { type: 'pause', duration: 150 },
+      { type: 'logo' }
+    ]
+  }
+};
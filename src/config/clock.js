@@ -0,0 +1,30 @@
+/**
+ * Title-bar clock (utils/clockController.js)
+ * Clicking the clock steps through CLOCK_MODES in order; the choice is kept
+ * in localStorage.
+ */
+
+export const CLOCK_MODES = [
+  { id: 'local', label: 'LOCAL TIME' },
+  { id: 'utc', label: 'UTC' },
+  { id: 'unix', label: 'UNIX EPOCH' },
+  { id: 'cardano', label: 'CARDANO EPOCH/SLOT' },
+];
+
+export const DEFAULT_CLOCK_MODE = 'local';
+
+export const CLOCK_STORAGE_KEY = 'terminalClock';
+
+/**
+ * Cardano mainnet timing from the Byron and Shelley genesis files
+ * Byron ran 20 s slots in 21600-slot epochs until the Shelley hard fork at
+ * epoch 208; since then a slot is 1 s and an epoch 432000 slots (5 days).
+ */
+export const CARDANO_GENESIS = {
+  systemStart: '2017-09-23T21:44:51Z',
+  byronSlotLength: 20,
+  byronEpochLength: 21600,
+  shelleyEpoch: 208,
+  slotLength: 1,
+  epochLength: 432000
+};
@@ -0,0 +1,68 @@
+/**
+ * Shiki theme for code blocks - phosphor on black
+ * Every colour is a CSS variable (see --code-* in global.css) so code
+ * follows the active theme. Accents default to the site's Tailwind palette:
+ * cyan for types, green for strings, purple for constants.
+ */
+export const AMBER_CRT_THEME = {
+  name: 'amber-crt',
+  type: 'dark',
+  colors: {
+    'editor.background': 'var(--code-bg)',
+    'editor.foreground': 'var(--code-fg)'
+  },
+  tokenColors: [
+    {
+      scope: ['comment', 'punctuation.definition.comment', 'comment.block.documentation'],
+      settings: { foreground: 'var(--code-comment)', fontStyle: 'italic' }
+    },
+    {
+      scope: ['keyword', 'storage', 'storage.type', 'storage.modifier', 'keyword.control'],
+      settings: { foreground: 'var(--code-keyword)', fontStyle: 'bold' }
+    },
+    {
+      scope: ['keyword.operator', 'punctuation', 'meta.brace', 'punctuation.separator'],
+      settings: { foreground: 'var(--code-punctuation)', fontStyle: '' }
+    },
+    {
+      scope: ['string', 'string.quoted', 'string.template', 'punctuation.definition.string'],
+      settings: { foreground: 'var(--code-string)' }
+    },
+    {
+      scope: ['constant.numeric', 'constant.language', 'constant.character', 'support.constant'],
+      settings: { foreground: 'var(--code-constant)' }
+    },
+    {
+      scope: ['entity.name.type', 'support.type', 'entity.name.class', 'entity.other.inherited-class', 'storage.type.primitive'],
+      settings: { foreground: 'var(--code-type)' }
+    },
+    {
+      scope: ['entity.name.function', 'support.function', 'meta.function-call entity.name.function'],
+      settings: { foreground: 'var(--code-function)' }
+    },
+    {
+      scope: ['variable', 'variable.other', 'variable.parameter', 'meta.definition.variable'],
+      settings: { foreground: 'var(--code-variable)' }
+    },
+    {
+      scope: ['variable.other.property', 'meta.object-literal.key', 'support.variable.property'],
+      settings: { foreground: 'var(--code-property)' }
+    },
+    {
+      scope: ['entity.name.namespace', 'entity.name.module', 'entity.name.tag'],
+      settings: { foreground: 'var(--code-keyword)' }
+    },
+    {
+      scope: ['markup.inserted', 'punctuation.definition.inserted'],
+      settings: { foreground: 'var(--code-inserted)' }
+    },
+    {
+      scope: ['markup.deleted', 'punctuation.definition.deleted'],
+      settings: { foreground: 'var(--code-deleted)' }
+    },
+    {
+      scope: ['invalid', 'invalid.illegal'],
+      settings: { foreground: 'var(--code-deleted)', fontStyle: 'underline' }
+    }
+  ]
+};
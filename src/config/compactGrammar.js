@@ -0,0 +1,201 @@
+/**
+ * TextMate grammar for Compact, Midnight's smart contract language
+ * Covers the language as of language_version 0.18: pragmas, modules and
+ * imports, ledger/circuit/witness declarations, structs and enums, the
+ * standard library types and `disclose()`.
+ */
+export const COMPACT_GRAMMAR = {
+  name: 'compact',
+  scopeName: 'source.compact',
+  displayName: 'Compact',
+  fileTypes: ['compact'],
+  patterns: [
+    { include: '#comments' },
+    { include: '#pragma' },
+    { include: '#import' },
+    { include: '#declarations' },
+    { include: '#keywords' },
+    { include: '#strings' },
+    { include: '#numbers' },
+    { include: '#types' },
+    { include: '#calls' },
+    { include: '#operators' },
+    { include: '#identifiers' }
+  ],
+  repository: {
+    comments: {
+      patterns: [
+        {
+          name: 'comment.block.documentation.compact',
+          begin: '/\\*\\*(?!/)',
+          end: '\\*/',
+          captures: { 0: { name: 'punctuation.definition.comment.compact' } }
+        },
+        {
+          name: 'comment.block.compact',
+          begin: '/\\*',
+          end: '\\*/',
+          captures: { 0: { name: 'punctuation.definition.comment.compact' } }
+        },
+        {
+          name: 'comment.line.double-slash.compact',
+          begin: '//',
+          end: '$',
+          beginCaptures: { 0: { name: 'punctuation.definition.comment.compact' } }
+        }
+      ]
+    },
+    pragma: {
+      match: '\\b(pragma)\\s+(language_version)\\b',
+      captures: {
+        1: { name: 'keyword.other.pragma.compact' },
+        2: { name: 'entity.name.tag.compact' }
+      }
+    },
+    import: {
+      patterns: [
+        {
+          match: '\\b(import)\\s+([A-Za-z_][A-Za-z0-9_]*)(?:\\s+(prefix)\\s+([A-Za-z_][A-Za-z0-9_]*))?',
+          captures: {
+            1: { name: 'keyword.control.import.compact' },
+            2: { name: 'entity.name.module.compact' },
+            3: { name: 'keyword.control.import.compact' },
+            4: { name: 'entity.name.namespace.compact' }
+          }
+        },
+        {
+          match: '\\b(import)\\s+("[^"]*")(?:\\s+(prefix)\\s+([A-Za-z_][A-Za-z0-9_]*))?',
+          captures: {
+            1: { name: 'keyword.control.import.compact' },
+            2: { name: 'string.quoted.double.compact' },
+            3: { name: 'keyword.control.import.compact' },
+            4: { name: 'entity.name.namespace.compact' }
+          }
+        },
+        {
+          match: '\\b(include)\\s+("[^"]*")',
+          captures: {
+            1: { name: 'keyword.control.import.compact' },
+            2: { name: 'string.quoted.double.compact' }
+          }
+        }
+      ]
+    },
+    declarations: {
+      patterns: [
+        {
+          match: '\\b(module)\\s+([A-Za-z_][A-Za-z0-9_]*)',
+          captures: {
+            1: { name: 'storage.type.module.compact' },
+            2: { name: 'entity.name.module.compact' }
+          }
+        },
+        {
+          match: '\\b(circuit|witness)\\s+([A-Za-z_][A-Za-z0-9_]*)',
+          captures: {
+            1: { name: 'storage.type.function.compact' },
+            2: { name: 'entity.name.function.compact' }
+          }
+        },
+        {
+          match: '\\b(ledger)\\s+([A-Za-z_][A-Za-z0-9_]*)',
+          captures: {
+            1: { name: 'storage.type.ledger.compact' },
+            2: { name: 'variable.other.ledger.compact' }
+          }
+        },
+        {
+          match: '\\b(struct|enum|contract)\\s+([A-Za-z_][A-Za-z0-9_]*)',
+          captures: {
+            1: { name: 'storage.type.compact' },
+            2: { name: 'entity.name.type.compact' }
+          }
+        }
+      ]
+    },
+    keywords: {
+      patterns: [
+        {
+          name: 'storage.modifier.compact',
+          match: '\\b(export|sealed|pure|constructor)\\b'
+        },
+        {
+          name: 'storage.type.compact',
+          match: '\\b(const|ledger|circuit|witness|struct|enum|module|contract)\\b'
+        },
+        {
+          name: 'keyword.control.compact',
+          match: '\\b(if|else|for|of|return|assert)\\b'
+        },
+        {
+          name: 'keyword.other.compact',
+          match: '\\b(as|map|fold|pad|slice|default)\\b'
+        },
+        {
+          name: 'support.function.disclose.compact',
+          match: '\\bdisclose\\b'
+        },
+        {
+          name: 'constant.language.boolean.compact',
+          match: '\\b(true|false)\\b'
+        }
+      ]
+    },
+    strings: {
+      name: 'string.quoted.double.compact',
+      begin: '"',
+      end: '"',
+      patterns: [
+        { name: 'constant.character.escape.compact', match: '\\\\.' }
+      ]
+    },
+    numbers: {
+      patterns: [
+        { name: 'constant.numeric.hex.compact', match: '\\b0x[0-9A-Fa-f_]+\\b' },
+        { name: 'constant.numeric.decimal.compact', match: '\\b[0-9][0-9_]*(?:\\.[0-9]+)*\\b' }
+      ]
+    },
+    types: {
+      patterns: [
+        {
+          name: 'support.type.primitive.compact',
+          match: '\\b(Boolean|Field|Uint|Bytes|Opaque|Vector)\\b'
+        },
+        {
+          name: 'support.type.ledger.compact',
+          match: '\\b(Counter|Cell|Set|Map|List|MerkleTree|HistoricMerkleTree|Kernel)\\b'
+        },
+        {
+          name: 'support.type.stdlib.compact',
+          match: '\\b(Maybe|Either|CoinInfo|QualifiedCoinInfo|SendResult|ZswapCoinPublicKey|ContractAddress|CurvePoint|MerkleTreeDigest|MerkleTreePath)\\b'
+        },
+        {
+          name: 'entity.name.type.compact',
+          match: '\\b[A-Z][A-Za-z0-9_]*\\b'
+        }
+      ]
+    },
+    calls: {
+      match: '\\b([A-Za-z_][A-Za-z0-9_]*)\\s*(?=(?:<[^<>()]*>)?\\()',
+      captures: {
+        1: { name: 'entity.name.function.call.compact' }
+      }
+    },
+    operators: {
+      patterns: [
+        { name: 'keyword.operator.arrow.compact', match: '=>' },
+        { name: 'keyword.operator.comparison.compact', match: '==|!=|<=|>=' },
+        { name: 'keyword.operator.logical.compact', match: '&&|\\|\\||!' },
+        { name: 'keyword.operator.assignment.compact', match: '\\+=|-=|=' },
+        { name: 'keyword.operator.arithmetic.compact', match: '[+\\-*]' },
+        { name: 'keyword.operator.range.compact', match: '\\.\\.' },
+        { name: 'punctuation.separator.compact', match: '[,;:]' },
+        { name: 'punctuation.accessor.compact', match: '\\.' }
+      ]
+    },
+    identifiers: {
+      name: 'variable.other.compact',
+      match: '\\b[a-z_][A-Za-z0-9_]*\\b'
+    }
+  }
+};
@@ -0,0 +1,44 @@
+/**
+ * Contact channels
+ * Shown on /contact and indexed by the command palette.
+ * `url` is null for channels without a link (e.g. Discord handles).
+ */
+
+export const CONTACT_CHANNELS = [
+  {
+    name: 'GITHUB',
+    handle: 'github.com/solidsnakedev',
+    url: 'https://github.com/solidsnakedev',
+    desc: 'Open source contributions & project repositories',
+    port: '443',
+    protocol: 'HTTPS',
+    status: 'ACTIVE'
+  },
+  {
+    name: 'X (TWITTER)',
+    handle: '@solidsnakedev',
+    url: 'https://x.com/solidsnakedev',
+    desc: 'Updates, insights, and blockchain discussions',
+    port: '443',
+    protocol: 'HTTPS',
+    status: 'ACTIVE'
+  },
+  {
+    name: 'DISCORD',
+    handle: 'jonathan777',
+    url: null,
+    desc: 'Community discussions & real time collaboration',
+    port: '443',
+    protocol: 'WSS',
+    status: 'ONLINE'
+  },
+  {
+    name: 'EMAIL',
+    handle: 'jona.ca.eng@gmail.com',
+    url: 'mailto:jona.ca.eng@gmail.com',
+    desc: 'Professional inquiries & collaborations',
+    port: '587',
+    protocol: 'SMTP',
+    status: 'READY'
+  }
+];
@@ -0,0 +1,37 @@
+/**
+ * CRT effect configuration
+ * `renderer: 'webgl'` draws scanlines, curvature, bloom, the VHS bar and
+ * noise in one canvas pass (utils/crtRenderer.js). 'css' keeps the DOM
+ * overlays in global.css, which are also the fallback without WebGL.
+ * Both paths share the quality levels and frame budget below: the canvas
+ * lowers its resolution and frame rate, the CSS overlays pause their
+ * animations at 'medium' and drop the noise and VHS layers at 'low'.
+ */
+export const CRT_CONFIG = {
+  renderer: 'css',
+  // Starting quality; the frame-budget monitor steps down from here on slow devices
+  quality: 'high',
+  // Themes that turn the effect off entirely
+  disabledThemes: ['contrast'],
+  // Frame-budget monitor
+  budget: {
+    targetFps: 60,
+    sampleSize: 45,
+    slowRatio: 1.4,
+    fastRatio: 1.1,
+    cooldown: 3000
+  }
+};
+
+/**
+ * Quality levels, best first
+ * scale: canvas pixels per CSS pixel (capped by devicePixelRatio)
+ * fps: redraw rate for animated layers; 0 draws a single static frame
+ */
+export const CRT_QUALITY = {
+  high: { scale: 2, fps: 60, scanlines: 0.15, curvature: 0.02, bloom: 0.05, noise: 0.06, vhsBar: true },
+  medium: { scale: 1, fps: 30, scanlines: 0.15, curvature: 0.02, bloom: 0.04, noise: 0.04, vhsBar: true },
+  low: { scale: 1, fps: 0, scanlines: 0.15, curvature: 0.02, bloom: 0, noise: 0, vhsBar: false }
+};
+
+export const CRT_QUALITY_ORDER = ['high', 'medium', 'low'];
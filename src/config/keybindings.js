@@ -0,0 +1,26 @@
+/**
+ * Site-wide keyboard shortcuts, registered by utils/siteShortcuts.js
+ *
+ * Keys are written as a single key ("?"), a combination ("mod+k", where mod
+ * is Ctrl or Cmd) or a space-separated sequence ("g h"). Shortcuts never
+ * fire while typing in a form field, except the command palette's.
+ */
+
+export const KEYBINDINGS = {
+  // Time allowed between the keys of a sequence (ms)
+  sequenceTimeout: 1000,
+  // Jump to a nav item, keyed by href
+  navigation: {
+    '/': 'g h',
+    '/projects': 'g p',
+    '/blog': 'g b',
+    '/pool': 'g s',
+    '/contact': 'g c'
+  },
+  // Move through table rows on the blog, projects and search pages
+  nextRow: 'j',
+  previousRow: 'k',
+  search: '/',
+  help: '?',
+  palette: 'mod+k'
+};
@@ -7,6 +7,7 @@ export const NAV_ITEMS = [
   { name: 'HOME', href: '/' },
   { name: 'PROJECTS', href: '/projects' },
   { name: 'BLOG', href: '/blog' },
+  { name: 'POOL', href: '/pool' },
   { name: 'CONTACT', href: '/contact' },
 ];
 
@@ -17,6 +18,8 @@ export const SITE_CONFIG = {
   name: 'SOLIDSNAKEDEV',
   logoIcon: '█',
   terminalPrompt: 'user@terminal:~$ █',
+  author: 'SolidSnakeDev',
+  description: 'Cardano and Midnight development notes from SolidSnakeDev.',
 };
 
 /**
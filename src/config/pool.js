@@ -0,0 +1,64 @@
+/**
+ * ELEMT stake pool metadata
+ * Served as /poolMetadata.json (CIP-6) and /poolMetadata_extended.json, with the
+ * Blake2b-256 hash of the former in /poolMetadata.hash. Everything is checked by
+ * utils/poolMetadata.js at build time; changing anything in POOL_METADATA
+ * changes the hash, so the pool must be re-registered with the new one.
+ * The icon and logo are served from public/pool/ (drawn from logo.svg there);
+ * link them directly, since a URL shortener can be repointed at any time.
+ */
+
+/**
+ * @typedef {Object} PoolMetadata
+ * @property {string} name - At most 50 characters
+ * @property {string} description - At most 255 characters
+ * @property {string} ticker - 3-5 uppercase letters or digits
+ * @property {string} homepage - URL, at most 64 characters
+ * @property {string} [extended] - URL of the extended metadata, at most 64 characters
+ */
+
+/**
+ * @typedef {Object} PoolExtendedMetadata
+ * @property {string} verification - Pool verification code
+ * @property {Object} info
+ * @property {string} [info.url_png_icon_64x64] - 64x64 PNG icon URL
+ * @property {string} [info.url_png_logo] - PNG logo URL
+ * @property {string} [info.location] - Where the pool says it is
+ * @property {Object<string, string>} [info.social] - Social handles, e.g. twitter_handle
+ * @property {{me?: string, server?: string, company?: string}} [info.about] - About texts
+ */
+
+/**
+ * Bech32 pool id (pool1...), as printed by `cardano-cli stake-pool id --output-format bech32`
+ * Shown and linked on /pool whether or not a stats snapshot is present.
+ * Empty until filled in; the page then shows N/A.
+ * @type {string}
+ */
+export const POOL_ID = '';
+
+/** @type {PoolMetadata} */
+export const POOL_METADATA = {
+  name: 'ELEMENTAL Stake Pool',
+  description: "ELEMENTAL stands as a proven stake pool, by and for the community. Delegate confidently, knowing your stake is secured in one of the network's finest pools.",
+  ticker: 'ELEMT',
+  homepage: 'https://www.elemt.xyz',
+  extended: 'https://solidsnakedev.github.io/poolMetadata_extended.json'
+};
+
+/** @type {PoolExtendedMetadata} */
+export const POOL_EXTENDED_METADATA = {
+  verification: 'cf00cc5608a440672a',
+  info: {
+    url_png_icon_64x64: 'https://solidsnakedev.github.io/pool/icon-64x64.png',
+    url_png_logo: 'https://solidsnakedev.github.io/pool/logo.png',
+    location: 'Universe',
+    social: {
+      twitter_handle: 'elementalpool'
+    },
+    about: {
+      me: "ELEMENTAL stands as a proven stake pool, by and for the community. Delegate confidently, knowing your stake is secured in one of the network's finest pools.",
+      server: 'Global Cloud Servers 🌎: Unwavering Reliability. Our infrastructure spans diverse locations, guaranteeing 100% uptime. Constantly monitored by Prometheus and Grafana, ensuring round-the-clock server vigilance.',
+      company: 'https://elemt-frontend.vercel.app/'
+    }
+  }
+};
@@ -0,0 +1,23 @@
+/**
+ * Client-side navigation (utils/router.js)
+ *
+ * Internal links swap the page regions marked `data-router-region` instead of
+ * reloading, so the header, clock and CRT overlays keep running. Links with
+ * `data-router="off"`, a target, or a file extension (feeds, search index)
+ * always load normally.
+ */
+
+export const ROUTER_CONFIG = {
+  enabled: true,
+  // 'static' | 'vhold' | 'glitch' | 'none' (see utils/pageTransitions.js);
+  // reduced motion always uses 'none'
+  transition: 'static',
+  // Whole transition, split evenly between leaving and entering (ms)
+  duration: 360,
+  // Fetch pages when a link is hovered or focused
+  prefetch: true,
+  // Hover time before prefetching (ms)
+  prefetchDelay: 80,
+  // Pages kept in memory
+  cacheSize: 20
+};
@@ -0,0 +1,16 @@
+/**
+ * Phosphor colour themes
+ * Palettes themselves live in global.css under `:root[data-theme="..."]`;
+ * this list drives the theme command, the header toggle and validation.
+ */
+
+export const THEMES = [
+  { id: 'amber', label: 'AMBER', description: 'P3 amber phosphor' },
+  { id: 'green', label: 'GREEN', description: 'P1 green phosphor' },
+  { id: 'white', label: 'WHITE', description: 'P4 white phosphor' },
+  { id: 'contrast', label: 'CONTRAST', description: 'High contrast, no glow or scanlines' },
+];
+
+export const DEFAULT_THEME = 'amber';
+
+export const THEME_STORAGE_KEY = 'terminalTheme';
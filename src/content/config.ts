@@ -6,9 +6,43 @@ const blog = defineCollection({
     title: z.string(),
     description: z.string(),
     pubDate: z.coerce.date(),
+    updatedDate: z.coerce.date().optional(),
     author: z.string().default('SolidSnakeDev'),
     tags: z.array(z.string()).optional(),
+    // Drafts render in dev only; see utils/posts.js
+    draft: z.boolean().default(false),
+    series: z.object({
+      name: z.string(),
+      order: z.number().int().positive(),
+    }).optional(),
+    canonicalUrl: z.string().url().optional(),
+    heroImage: z.object({
+      src: z.string(),
+      alt: z.string().default(''),
+    }).optional(),
   }),
 });
 
-export const collections = { blog };
+const projects = defineCollection({
+  type: 'content',
+  schema: z.object({
+    name: z.string(),
+    pid: z.number().int().positive(),
+    // Colors for each status live in utils/projects.js
+    status: z.enum(['ACTIVE', 'PLANNED', 'ARCHIVED']),
+    org: z.string(),
+    role: z.enum(['OWNER', 'MAINTAINER', 'CONTRIBUTOR']),
+    type: z.string(),
+    stack: z.array(z.string()),
+    description: z.string(),
+    featured: z.boolean().default(false),
+    links: z.array(z.object({
+      label: z.string(),
+      href: z.string().url(),
+      primary: z.boolean().default(false),
+      disabled: z.boolean().default(false),
+    })).min(1),
+  }),
+});
+
+export const collections = { blog, projects };
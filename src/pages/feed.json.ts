@@ -0,0 +1,4 @@
+import type { APIRoute } from 'astro';
+import { feedResponse } from '../utils/feeds.js';
+
+export const GET: APIRoute = ({ site }) => feedResponse({ site, format: 'json' });
@@ -0,0 +1,9 @@
+import type { APIRoute } from 'astro';
+import { poolMetadataHash } from '../utils/poolMetadata.js';
+
+/**
+ * Blake2b-256 of poolMetadata.json, for --metadata-hash when re-registering the pool
+ */
+export const GET: APIRoute = () => new Response(`${poolMetadataHash()}\n`, {
+  headers: { 'Content-Type': 'text/plain; charset=utf-8' }
+});
@@ -0,0 +1,9 @@
+import type { APIRoute } from 'astro';
+import { renderPoolMetadata } from '../utils/poolMetadata.js';
+
+/**
+ * CIP-6 pool metadata; the registration certificate commits to these exact bytes
+ */
+export const GET: APIRoute = () => new Response(renderPoolMetadata(), {
+  headers: { 'Content-Type': 'application/json' }
+});
@@ -0,0 +1,9 @@
+import type { APIRoute } from 'astro';
+import { renderExtendedMetadata } from '../utils/poolMetadata.js';
+
+/**
+ * Extended pool metadata linked from poolMetadata.json
+ */
+export const GET: APIRoute = () => new Response(renderExtendedMetadata(), {
+  headers: { 'Content-Type': 'application/json' }
+});
@@ -0,0 +1,24 @@
+import type { APIRoute } from 'astro';
+import { getPosts } from '../utils/posts.js';
+import { buildSearchIndex, stripMarkdown } from '../utils/searchEngine.js';
+import { formatVMSDate } from '../utils/dates.js';
+
+/**
+ * Prebuilt full-text index of the blog, fetched by /search and `grep`
+ */
+export const GET: APIRoute = async () => {
+  const posts = await getPosts();
+
+  const index = buildSearchIndex(posts.map((post) => ({
+    slug: post.slug,
+    title: post.data.title,
+    description: post.data.description,
+    tags: post.data.tags || [],
+    date: formatVMSDate(post.data.pubDate),
+    text: stripMarkdown(post.body)
+  })));
+
+  return new Response(JSON.stringify(index), {
+    headers: { 'Content-Type': 'application/json' }
+  });
+};
@@ -0,0 +1,6 @@
+import type { APIRoute } from 'astro';
+import { feedResponse, getTagFeedPaths } from '../../../utils/feeds.js';
+
+export const getStaticPaths = getTagFeedPaths;
+
+export const GET: APIRoute = ({ site, params }) => feedResponse({ site, format: 'rss', tag: params.tag });
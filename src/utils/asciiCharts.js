@@ -0,0 +1,272 @@
+/**
+ * Text charts for the terminal chart components
+ * Every function takes plain number arrays and returns strings, so charts
+ * render at build time and read the same in a text browser. Data wider than
+ * the columns available is resampled to fit.
+ * @module asciiCharts
+ */
+
+import { VMS_MONTHS } from './dates.js';
+
+/**
+ * Sparkline and column glyphs, lowest to highest
+ */
+export const SPARK_GLYPHS = ['▁', '▂', '▃', '▄', '▅', '▆', '▇', '█'];
+
+/**
+ * Heatmap shades, empty to busiest
+ */
+export const HEAT_GLYPHS = ['·', '░', '▒', '▓', '█'];
+
+// Left-aligned eighths of a cell for horizontal bars
+const EIGHTHS = ['', '▏', '▎', '▍', '▌', '▋', '▊', '▉'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Shrink a series to at most `width` points by averaging neighbours
+ * @param {number[]} values
+ * @param {number} [width] - Columns available; omit to keep every point
+ * @param {'mean'|'sum'|'max'} [reduce='mean'] - How a bucket becomes one point
+ * @returns {number[]}
+ */
+export function resample(values, width, reduce = 'mean') {
+  if (!width || values.length <= width) return [...values];
+
+  return Array.from({ length: width }, (_, i) => {
+    const bucket = values.slice(
+      Math.floor((i * values.length) / width),
+      Math.floor(((i + 1) * values.length) / width)
+    );
+    const sum = bucket.reduce((total, value) => total + value, 0);
+    if (reduce === 'sum') return sum;
+    if (reduce === 'max') return Math.max(...bucket);
+    return sum / bucket.length;
+  });
+}
+
+/**
+ * Lowest and highest value, unless fixed bounds are given
+ * @param {number[]} values
+ * @param {{min?: number, max?: number}} [bounds]
+ * @returns {{min: number, max: number}}
+ */
+function extent(values, { min, max } = {}) {
+  return {
+    min: min ?? Math.min(...values),
+    max: max ?? Math.max(...values)
+  };
+}
+
+/**
+ * Position of a value between min and max as a step from 0 to steps - 1
+ * @param {number} value
+ * @param {number} min
+ * @param {number} max
+ * @param {number} steps
+ * @returns {number}
+ */
+function level(value, min, max, steps) {
+  if (max === min) return value > 0 ? Math.floor((steps - 1) / 2) : 0;
+  const ratio = (Math.min(max, Math.max(min, value)) - min) / (max - min);
+  return Math.round(ratio * (steps - 1));
+}
+
+/**
+ * One-line chart of a series, e.g. [1, 5, 3] -> "▁█▄"
+ * @param {number[]} values
+ * @param {Object} [options]
+ * @param {number} [options.width] - Columns available
+ * @param {number} [options.min] - Value drawn as ▁ (default: lowest value)
+ * @param {number} [options.max] - Value drawn as █ (default: highest value)
+ * @returns {string}
+ */
+export function sparkline(values, { width, min, max } = {}) {
+  const data = resample(values, width);
+  if (data.length === 0) return '';
+
+  const range = extent(data, { min, max });
+  return data.map(value => SPARK_GLYPHS[level(value, range.min, range.max, SPARK_GLYPHS.length)]).join('');
+}
+
+/**
+ * A horizontal bar in eighth-cell steps, padded to its full width
+ * @param {number} value
+ * @param {number} max - Value that fills the whole width
+ * @param {number} width - Cells
+ * @returns {string}
+ */
+export function horizontalBar(value, max, width) {
+  const eighths = max > 0 ? Math.round((Math.max(0, Math.min(value, max)) / max) * width * 8) : 0;
+  const bar = '█'.repeat(Math.floor(eighths / 8)) + EIGHTHS[eighths % 8];
+  return bar.padEnd(width, ' ');
+}
+
+/**
+ * Rows of a horizontal bar chart
+ * @param {Array<{label: string, value: number}>} data
+ * @param {Object} [options]
+ * @param {number} [options.width=40] - Columns for label, bar and value together
+ * @param {number} [options.max] - Value that fills a bar (default: highest value)
+ * @returns {Array<{label: string, bar: string, value: string}>} Labels and values padded to line up
+ */
+export function barChartRows(data, { width = 40, max } = {}) {
+  const labelWidth = Math.max(0, ...data.map(item => String(item.label).length));
+  const valueWidth = Math.max(0, ...data.map(item => String(item.value).length));
+  const barWidth = Math.max(1, width - labelWidth - valueWidth - 2);
+  const top = max ?? Math.max(0, ...data.map(item => item.value));
+
+  return data.map(item => ({
+    label: String(item.label).padEnd(labelWidth, ' '),
+    bar: horizontalBar(item.value, top, barWidth),
+    value: String(item.value).padStart(valueWidth, ' ')
+  }));
+}
+
+/**
+ * Lines of a vertical bar chart, top line first
+ * Each bar's top cell uses a partial block, so heights resolve to an eighth of a line.
+ * @param {number[]} values
+ * @param {Object} [options]
+ * @param {number} [options.height=6] - Lines
+ * @param {number} [options.width] - Columns available; bars are resampled to fit
+ * @param {number} [options.barWidth=1] - Columns per bar
+ * @param {number} [options.gap=1] - Columns between bars
+ * @param {number} [options.max] - Value that fills a bar (default: highest value)
+ * @returns {string[]}
+ */
+export function columnChart(values, { height = 6, width, barWidth = 1, gap = 1, max } = {}) {
+  const fit = width ? Math.max(1, Math.floor((width + gap) / (barWidth + gap))) : undefined;
+  const data = resample(values, fit, 'sum');
+  const top = max ?? Math.max(0, ...data);
+  const eighths = data.map(value => (top > 0 ? Math.round((Math.max(0, value) / top) * height * 8) : 0));
+
+  return Array.from({ length: height }, (_, line) => {
+    const floor = (height - 1 - line) * 8;
+    return eighths.map(filled => {
+      const cell = filled - floor;
+      const glyph = cell >= 8 ? '█' : cell > 0 ? SPARK_GLYPHS[cell - 1] : ' ';
+      return glyph.repeat(barWidth);
+    }).join(' '.repeat(gap));
+  });
+}
+
+/**
+ * Lines of a contribution-style heatmap, filled column by column
+ * @param {number[]} values - Oldest first; with rows = 7, one column per week
+ * @param {Object} [options]
+ * @param {number} [options.rows=7] - Cells per column
+ * @param {number} [options.max] - Value shown as █ (default: highest value)
+ * @returns {string[]}
+ */
+export function heatmap(values, { rows = 7, max } = {}) {
+  const top = max ?? Math.max(0, ...values);
+  const columns = Math.ceil(values.length / rows);
+
+  return Array.from({ length: rows }, (_, row) =>
+    Array.from({ length: columns }, (_, column) => {
+      const value = values[column * rows + row];
+      if (value === undefined) return ' ';
+      if (value <= 0 || top <= 0) return HEAT_GLYPHS[0];
+      return HEAT_GLYPHS[Math.max(1, Math.ceil((value / top) * (HEAT_GLYPHS.length - 1)))];
+    }).join('')
+  );
+}
+
+/**
+ * Lines of a box-drawing line chart with a value axis, top line first
+ * @param {number[]} values
+ * @param {Object} [options]
+ * @param {number} [options.height=8] - Lines
+ * @param {number} [options.width] - Columns available for the plot
+ * @param {number} [options.min] - Bottom of the axis (default: lowest value)
+ * @param {number} [options.max] - Top of the axis (default: highest value)
+ * @param {Function} [options.format] - Axis label for a value
+ * @returns {string[]}
+ */
+export function lineChart(values, { height = 8, width, min, max, format = (value) => String(Math.round(value)) } = {}) {
+  const data = resample(values, width);
+  if (data.length === 0) return [];
+
+  const range = extent(data, { min, max });
+  const rowOf = (value) => height - 1 - level(value, range.min, range.max, height);
+  const grid = Array.from({ length: height }, () => Array(data.length).fill(' '));
+
+  data.forEach((value, x) => {
+    const from = rowOf(value);
+    const to = x < data.length - 1 ? rowOf(data[x + 1]) : from;
+
+    if (from === to) {
+      grid[from][x] = '─';
+      return;
+    }
+
+    // Rows grow downwards, so a smaller row index is a higher value
+    const rising = to < from;
+    grid[from][x] = rising ? '╯' : '╮';
+    grid[to][x] = rising ? '╭' : '╰';
+    for (let row = Math.min(from, to) + 1; row < Math.max(from, to); row++) grid[row][x] = '│';
+  });
+
+  const labels = grid.map((_, row) => {
+    const value = range.max - (row * (range.max - range.min)) / Math.max(1, height - 1);
+    return format(value);
+  });
+  const labelWidth = Math.max(...labels.map(label => label.length));
+
+  return grid.map((cells, row) => `${labels[row].padStart(labelWidth, ' ')} ┤${cells.join('')}`);
+}
+
+/**
+ * Short text summary of a series, for screen readers
+ * @param {number[]} values
+ * @param {Function} [format=String] - How to print a value
+ * @returns {string} e.g. "12 points, low 1, high 9, latest 5"
+ */
+export function describeSeries(values, format = String) {
+  if (values.length === 0) return 'no data';
+  return `${values.length} points, low ${format(Math.min(...values))}, high ${format(Math.max(...values))}, latest ${format(values.at(-1))}`;
+}
+
+/**
+ * Count dates per calendar month (UTC), oldest month first
+ * @param {Date[]} dates
+ * @param {Object} [options]
+ * @param {number} [options.months=12] - Months to cover, ending with `end`'s month
+ * @param {Date} [options.end=new Date()] - Last month included
+ * @returns {{values: number[], labels: string[]}} Labels like "JAN"
+ */
+export function countByMonth(dates, { months = 12, end = new Date() } = {}) {
+  const last = end.getUTCFullYear() * 12 + end.getUTCMonth();
+  const values = Array(months).fill(0);
+
+  dates.forEach(date => {
+    const index = months - 1 - (last - (date.getUTCFullYear() * 12 + date.getUTCMonth()));
+    if (index >= 0 && index < months) values[index]++;
+  });
+
+  const labels = values.map((_, i) => VMS_MONTHS[(((last - months + 1 + i) % 12) + 12) % 12]);
+  return { values, labels };
+}
+
+/**
+ * Count dates per day (UTC) for whole weeks, Sunday first, ending with `end`'s week
+ * The result feeds heatmap() with rows = 7; days after `end` are left out.
+ * @param {Date[]} dates
+ * @param {Object} [options]
+ * @param {number} [options.weeks=26] - Weeks to cover
+ * @param {Date} [options.end=new Date()] - Last day included
+ * @returns {number[]}
+ */
+export function countByDay(dates, { weeks = 26, end = new Date() } = {}) {
+  const lastDay = Math.floor(end.getTime() / DAY_MS);
+  const firstDay = lastDay - end.getUTCDay() - (weeks - 1) * 7;
+  const values = Array(lastDay - firstDay + 1).fill(0);
+
+  dates.forEach(date => {
+    const index = Math.floor(date.getTime() / DAY_MS) - firstDay;
+    if (index >= 0 && index < values.length) values[index]++;
+  });
+
+  return values;
+}
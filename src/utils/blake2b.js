@@ -0,0 +1,128 @@
+/**
+ * BLAKE2b (RFC 7693), unkeyed, with a configurable digest length
+ * Node's crypto only ships the fixed 512-bit variant, and Cardano hashes
+ * metadata with the 256-bit one. Runs at build time, so BigInt words are fine.
+ * @module blake2b
+ */
+
+const MASK = (1n << 64n) - 1n;
+
+const IV = [
+  0x6a09e667f3bcc908n, 0xbb67ae8584caa73bn, 0x3c6ef372fe94f82bn, 0xa54ff53a5f1d36f1n,
+  0x510e527fade682d1n, 0x9b05688c2b3e6c1fn, 0x1f83d9abfb41bd6bn, 0x5be0cd19137e2179n
+];
+
+const SIGMA = [
+  [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15],
+  [14, 10, 4, 8, 9, 15, 13, 6, 1, 12, 0, 2, 11, 7, 5, 3],
+  [11, 8, 12, 0, 5, 2, 15, 13, 10, 14, 3, 6, 7, 1, 9, 4],
+  [7, 9, 3, 1, 13, 12, 11, 14, 2, 6, 5, 10, 4, 0, 15, 8],
+  [9, 0, 5, 7, 2, 4, 10, 15, 14, 1, 11, 12, 6, 8, 3, 13],
+  [2, 12, 6, 10, 0, 11, 8, 3, 4, 13, 7, 5, 15, 14, 1, 9],
+  [12, 5, 1, 15, 14, 13, 4, 10, 0, 7, 6, 3, 9, 2, 8, 11],
+  [13, 11, 7, 14, 12, 1, 3, 9, 5, 0, 15, 4, 8, 6, 2, 10],
+  [6, 15, 14, 9, 11, 3, 0, 8, 12, 2, 13, 7, 1, 4, 10, 5],
+  [10, 2, 8, 4, 7, 6, 1, 5, 15, 11, 9, 14, 3, 12, 13, 0]
+];
+
+const BLOCK = 128;
+
+/**
+ * Rotate a 64-bit word right
+ * @param {bigint} x
+ * @param {bigint} n
+ * @returns {bigint}
+ */
+function rotr(x, n) {
+  return ((x >> n) | (x << (64n - n))) & MASK;
+}
+
+/**
+ * Read the sixteen little-endian words of a block
+ * @param {Uint8Array} block - 128 bytes
+ * @returns {bigint[]}
+ */
+function words(block) {
+  const view = new DataView(block.buffer, block.byteOffset, BLOCK);
+  return Array.from({ length: 16 }, (_, i) => view.getBigUint64(i * 8, true));
+}
+
+/**
+ * Mix one block into the state
+ * @param {bigint[]} h - State, updated in place
+ * @param {Uint8Array} block - 128 bytes
+ * @param {bigint} t - Bytes hashed so far, including this block
+ * @param {boolean} last - Whether this is the final block
+ */
+function compress(h, block, t, last) {
+  const m = words(block);
+  const v = [...h, ...IV];
+  v[12] ^= t & MASK;
+  v[13] ^= t >> 64n;
+  if (last) v[14] ^= MASK;
+
+  const g = (a, b, c, d, x, y) => {
+    v[a] = (v[a] + v[b] + x) & MASK;
+    v[d] = rotr(v[d] ^ v[a], 32n);
+    v[c] = (v[c] + v[d]) & MASK;
+    v[b] = rotr(v[b] ^ v[c], 24n);
+    v[a] = (v[a] + v[b] + y) & MASK;
+    v[d] = rotr(v[d] ^ v[a], 16n);
+    v[c] = (v[c] + v[d]) & MASK;
+    v[b] = rotr(v[b] ^ v[c], 63n);
+  };
+
+  for (let round = 0; round < 12; round++) {
+    const s = SIGMA[round % 10];
+    g(0, 4, 8, 12, m[s[0]], m[s[1]]);
+    g(1, 5, 9, 13, m[s[2]], m[s[3]]);
+    g(2, 6, 10, 14, m[s[4]], m[s[5]]);
+    g(3, 7, 11, 15, m[s[6]], m[s[7]]);
+    g(0, 5, 10, 15, m[s[8]], m[s[9]]);
+    g(1, 6, 11, 12, m[s[10]], m[s[11]]);
+    g(2, 7, 8, 13, m[s[12]], m[s[13]]);
+    g(3, 4, 9, 14, m[s[14]], m[s[15]]);
+  }
+
+  for (let i = 0; i < 8; i++) h[i] ^= v[i] ^ v[i + 8];
+}
+
+/**
+ * Hash bytes or a string (encoded as UTF-8)
+ * @param {Uint8Array|string} input - Data to hash
+ * @param {number} [length=32] - Digest length in bytes (1-64)
+ * @returns {Uint8Array}
+ */
+export function blake2b(input, length = 32) {
+  if (!Number.isInteger(length) || length < 1 || length > 64) {
+    throw new Error(`blake2b: digest length must be 1-64 bytes, got ${length}`);
+  }
+
+  const data = typeof input === 'string' ? new TextEncoder().encode(input) : input;
+  const h = [...IV];
+  h[0] ^= 0x01010000n ^ BigInt(length);
+
+  // The last block is always compressed with the final flag, even when empty
+  const blocks = Math.max(1, Math.ceil(data.length / BLOCK));
+  for (let i = 0; i < blocks; i++) {
+    const block = new Uint8Array(BLOCK);
+    block.set(data.subarray(i * BLOCK, (i + 1) * BLOCK));
+    const last = i === blocks - 1;
+    compress(h, block, BigInt(last ? data.length : (i + 1) * BLOCK), last);
+  }
+
+  const out = new Uint8Array(64);
+  const view = new DataView(out.buffer);
+  h.forEach((word, i) => view.setBigUint64(i * 8, word, true));
+  return out.slice(0, length);
+}
+
+/**
+ * BLAKE2b digest as lowercase hex
+ * @param {Uint8Array|string} input - Data to hash
+ * @param {number} [length=32] - Digest length in bytes
+ * @returns {string}
+ */
+export function blake2bHex(input, length = 32) {
+  return [...blake2b(input, length)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+}
@@ -0,0 +1,161 @@
+/**
+ * Boot-sequence intro: turns a script from config/bootSequence.js into a timeline
+ * @module bootSequence
+ */
+
+import { BOOT_DEFAULTS, BOOT_SCRIPTS } from '../config/bootSequence.js';
+import { ANIMATION_TIMINGS, SITE_CONFIG } from '../config/navigation.js';
+import { getRandomGlitchPattern, applyGlitchPattern } from './glitchPatterns.js';
+import { resolveRandom } from './random.js';
+import { Timeline } from './timeline.js';
+import { typewriterTimeline } from './typewriter.js';
+
+const STATUS_CLASSES = {
+  OK: 'text-green-400',
+  WARN: 'text-yellow-400',
+  FAIL: 'text-red-400'
+};
+
+/**
+ * Pick the script for a page
+ * @param {string} pathname - Current path, e.g. '/blog/some-post'
+ * @param {Object} [scripts=BOOT_SCRIPTS] - { default, routes }
+ * @returns {Array<Object>} Steps
+ */
+export function resolveBootScript(pathname, scripts = BOOT_SCRIPTS) {
+  const path = pathname.replace(/\/+$/, '') || '/';
+  const match = Object.keys(scripts.routes || {})
+    .filter(route => path === route || path.startsWith(`${route}/`))
+    .sort((a, b) => b.length - a.length)[0];
+
+  return match ? scripts.routes[match] : scripts.default;
+}
+
+/**
+ * ASCII bar for a fraction
+ * @param {number} fraction - 0 to 1
+ * @param {number} width - Bar width in characters
+ * @returns {string} e.g. "[#########...............]  37%"
+ */
+export function asciiProgress(fraction, width) {
+  const filled = Math.round(fraction * width);
+  const percent = `${Math.round(fraction * 100)}%`.padStart(4);
+  return `[${'#'.repeat(filled)}${'.'.repeat(width - filled)}] ${percent}`;
+}
+
+/**
+ * Build the boot timeline
+ * @param {Array<Object>} steps - Script from config/bootSequence.js
+ * @param {Object} elements
+ * @param {HTMLElement} elements.log - Container for POST lines
+ * @param {HTMLElement} elements.logo - Element the site name is typed into
+ * @param {HTMLElement} [elements.status] - Live region announcing each finished step
+ * @param {HTMLElement} [elements.progress] - Element with role="progressbar" for overall progress
+ * @param {Object} [options]
+ * @param {boolean} [options.instant=false] - Show everything at once (reduced motion)
+ * @param {number|string} [options.seed] - Seed for reproducible jitter
+ * @param {Object} [options.defaults=BOOT_DEFAULTS]
+ * @param {Object} [options.timings=ANIMATION_TIMINGS.intro]
+ * @returns {Timeline} Unstarted timeline; cancelling it clears any glitch in progress
+ */
+export function bootTimeline(steps, elements, options = {}) {
+  const {
+    instant = false,
+    defaults = BOOT_DEFAULTS,
+    timings = ANIMATION_TIMINGS.intro
+  } = options;
+  const random = resolveRandom(options);
+  const { log, logo, status, progress } = elements;
+
+  // Jittered duration, zero when instant
+  const time = (ms, jitter = defaults.jitter) =>
+    instant ? 0 : Math.max(0, ms * (1 + jitter * (random() * 2 - 1)));
+
+  const addLine = (text) => {
+    const line = document.createElement('div');
+    line.textContent = text;
+    log.append(line);
+    return line;
+  };
+
+  const announce = (index, message) => {
+    const value = Math.round(((index + 1) / steps.length) * 100);
+    progress?.setAttribute('aria-valuenow', String(value));
+    if (status && message) status.textContent = message;
+  };
+
+  const timeline = new Timeline({
+    onCancel: () => logo.classList.remove('glitch')
+  });
+
+  if (!instant) timeline.wait(timings.flickerDuration);
+
+  steps.forEach((step, index) => {
+    const jitter = step.jitter ?? defaults.jitter;
+
+    switch (step.type) {
+      case 'line': {
+        let line = null;
+        timeline.call(() => { line = addLine(step.text); }, { undo: () => line?.remove() });
+
+        if (step.status) {
+          const label = document.createElement('span');
+          label.className = STATUS_CLASSES[step.status] || '';
+          label.textContent = ` [ ${step.status} ]`;
+
+          timeline
+            .wait(time(step.delay ?? defaults.statusDelay, jitter))
+            .call(() => line.append(label), { undo: () => label.remove() });
+        }
+
+        timeline.call(() => announce(index, step.status ? `${step.text}: ${step.status}` : step.text));
+        timeline.wait(time(defaults.lineDelay, jitter));
+        break;
+      }
+
+      case 'progress': {
+        let line = null;
+        const render = (fraction) => {
+          line.textContent = `${step.label} ${asciiProgress(fraction, defaults.progressWidth)}`;
+        };
+
+        timeline
+          .call(() => { line = addLine(''); render(0); }, { undo: () => line?.remove() })
+          .tween(time(step.duration, jitter), (fraction) => line && render(fraction))
+          .call(() => announce(index, `${step.label}: complete`))
+          .wait(time(defaults.lineDelay, jitter));
+        break;
+      }
+
+      case 'pause':
+        timeline.wait(time(step.duration, jitter));
+        break;
+
+      case 'logo':
+        timeline.add(typewriterTimeline(SITE_CONFIG.name, logo, {
+          delay: timings.typewriterDelay,
+          instant
+        }));
+
+        if (!instant) {
+          timeline
+            .wait(timings.glitchPauseBefore)
+            .call(() => {
+              applyGlitchPattern(logo, getRandomGlitchPattern({ random }));
+              logo.classList.add('glitch');
+            })
+            .wait(timings.glitchDuration)
+            .call(() => logo.classList.remove('glitch'));
+        }
+
+        timeline.call(() => announce(index, `${SITE_CONFIG.name} ready`));
+        break;
+
+      default:
+        throw new Error(`bootTimeline: unknown step type "${step.type}"`);
+    }
+  });
+
+  // Hold the finished screen briefly, even in the static version
+  return timeline.wait(timings.glitchPauseAfter);
+}
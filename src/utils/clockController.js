@@ -0,0 +1,198 @@
+/**
+ * Title-bar clock: local time, UTC, Unix epoch or Cardano epoch/slot
+ * Ticks on requestAnimationFrame but only touches the DOM when the shown
+ * second changes, and stops entirely while the tab is hidden.
+ * @module clockController
+ */
+
+import { CLOCK_MODES, DEFAULT_CLOCK_MODE, CLOCK_STORAGE_KEY, CARDANO_GENESIS } from '../config/clock.js';
+import { formatVMSDateTime, localTimeZoneName, unixTime, cardanoTime } from './dates.js';
+import { ListenerBag } from './listeners.js';
+import { animationFrameClock } from './timeline.js';
+
+/**
+ * Text for each mode
+ */
+const FORMATTERS = {
+  local: (date) => `${formatVMSDateTime(date, { utc: false })} ${localTimeZoneName(date)}`.trim(),
+  utc: (date) => `${formatVMSDateTime(date)} UTC`,
+  unix: (date) => `UNIX ${unixTime(date)}`,
+  cardano: (date, { genesis }) => {
+    const time = cardanoTime(date, genesis);
+    return time ? `EPOCH ${time.epoch} SLOT ${time.epochSlot}` : 'EPOCH --';
+  }
+};
+
+/**
+ * Renders the clock into an element and cycles modes on click
+ */
+export class ClockController {
+  /**
+   * @param {Object} config - Configuration options
+   * @param {HTMLElement} config.element - Clock element, ideally a button
+   * @param {Array<{id: string, label: string}>} [config.modes=CLOCK_MODES] - Modes, in click order
+   * @param {string} [config.defaultMode='local'] - Mode used when nothing is stored
+   * @param {string} [config.storageKey='terminalClock'] - localStorage key
+   * @param {Object} [config.genesis=CARDANO_GENESIS] - Network timing for the Cardano mode
+   * @param {Object} [config.frameClock=animationFrameClock] - { request, cancel } for ticking
+   * @param {Function} [config.now=Date.now] - Wall-clock time in ms
+   */
+  constructor(config) {
+    this.config = {
+      modes: CLOCK_MODES,
+      defaultMode: DEFAULT_CLOCK_MODE,
+      storageKey: CLOCK_STORAGE_KEY,
+      genesis: CARDANO_GENESIS,
+      frameClock: animationFrameClock,
+      now: () => Date.now(),
+      ...config
+    };
+
+    if (!this.config.element) {
+      throw new Error('ClockController: element is required');
+    }
+
+    this.mode = this._storedMode();
+    this.frameId = null;
+    this.lastSecond = null;
+    this.listeners = new ListenerBag();
+    this._frame = this._frame.bind(this);
+  }
+
+  /**
+   * Ids of the available modes
+   * @returns {string[]}
+   */
+  get ids() {
+    return this.config.modes.map(mode => mode.id);
+  }
+
+  /**
+   * Show the time and start ticking
+   */
+  init() {
+    this.listeners.add(this.config.element, 'click', () => this.next());
+    this.listeners.add(document, 'visibilitychange', () => {
+      if (document.hidden) {
+        this.stop();
+      } else {
+        this.start();
+      }
+    });
+
+    this._describe();
+    this.render(true);
+    this.start();
+  }
+
+  /**
+   * Switch to a mode and remember it
+   * @param {string} id - Mode id
+   */
+  setMode(id) {
+    if (!this.ids.includes(id)) {
+      throw new Error(`ClockController: unknown mode "${id}"`);
+    }
+
+    this.mode = id;
+    try {
+      localStorage.setItem(this.config.storageKey, id);
+    } catch {
+      // Storage unavailable; the mode lasts for this page only
+    }
+
+    this._describe();
+    this.render(true);
+  }
+
+  /**
+   * Switch to the next mode
+   */
+  next() {
+    const ids = this.ids;
+    this.setMode(ids[(ids.indexOf(this.mode) + 1) % ids.length]);
+  }
+
+  /**
+   * Clock text for a time in the current mode
+   * @param {Date} date
+   * @returns {string}
+   */
+  format(date) {
+    return FORMATTERS[this.mode](date, this.config);
+  }
+
+  /**
+   * Update the element if the second has changed
+   * @param {boolean} [force=false] - Update even within the same second
+   */
+  render(force = false) {
+    const now = this.config.now();
+    const second = Math.floor(now / 1000);
+    if (!force && second === this.lastSecond) return;
+
+    this.lastSecond = second;
+    this.config.element.textContent = this.format(new Date(now));
+  }
+
+  /**
+   * Tick on animation frames (no-op while hidden or already running)
+   */
+  start() {
+    if (this.frameId !== null || document.hidden) return;
+    this.render(true);
+    this.frameId = this.config.frameClock.request(this._frame);
+  }
+
+  /**
+   * Stop ticking
+   */
+  stop() {
+    if (this.frameId === null) return;
+    this.config.frameClock.cancel(this.frameId);
+    this.frameId = null;
+  }
+
+  /**
+   * Stop ticking and remove listeners
+   */
+  destroy() {
+    this.stop();
+    this.listeners.clear();
+  }
+
+  /**
+   * @private
+   */
+  _frame() {
+    this.frameId = null;
+    this.render();
+    this.frameId = this.config.frameClock.request(this._frame);
+  }
+
+  /**
+   * Say what the clock shows and what a click does
+   * @private
+   */
+  _describe() {
+    const { modes, element } = this.config;
+    const index = this.ids.indexOf(this.mode);
+    const nextMode = modes[(index + 1) % modes.length];
+    element.title = `${modes[index].label} (click for ${nextMode.label})`;
+    element.dataset.clockMode = this.mode;
+  }
+
+  /**
+   * @private
+   * @returns {string}
+   */
+  _storedMode() {
+    let stored = null;
+    try {
+      stored = localStorage.getItem(this.config.storageKey);
+    } catch {
+      // Storage unavailable; use the default
+    }
+    return this.ids.includes(stored) ? stored : this.config.defaultMode;
+  }
+}
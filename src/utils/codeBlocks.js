@@ -0,0 +1,121 @@
+/**
+ * Shiki transformer for fenced code blocks in markdown
+ * Adds a title bar with copy button, line numbers, line highlighting and
+ * diff markers, all driven by the fence meta string:
+ *
+ *   ```compact title="counter.compact" showLineNumbers {3-5} ins={7} del={8}
+ *
+ * @module codeBlocks
+ */
+
+/**
+ * Expand a range list like "1,3-5" into line numbers
+ * @param {string} ranges - Comma-separated numbers and inclusive ranges
+ * @returns {Set<number>} 1-based line numbers
+ */
+export function parseLineRanges(ranges = '') {
+  const lines = new Set();
+
+  ranges.split(',').forEach(part => {
+    const [start, end = start] = part.trim().split('-').map(Number);
+    if (!Number.isInteger(start) || !Number.isInteger(end)) return;
+    for (let line = Math.min(start, end); line <= Math.max(start, end); line++) {
+      lines.add(line);
+    }
+  });
+
+  return lines;
+}
+
+/**
+ * Parse the meta string that follows the language on a code fence
+ * @param {string} [raw] - e.g. `title="app.ts" showLineNumbers {2-3}`
+ * @returns {{title: string|null, lineNumbers: boolean, highlight: Set<number>, ins: Set<number>, del: Set<number>}}
+ */
+export function parseCodeMeta(raw = '') {
+  const title = raw.match(/(?:title|filename)=(?:"([^"]*)"|'([^']*)'|(\S+))/);
+
+  return {
+    title: title ? (title[1] ?? title[2] ?? title[3]) : null,
+    lineNumbers: /(?:^|\s)(?:showLineNumbers|lineNumbers)(?:\s|$)/.test(raw),
+    highlight: parseLineRanges(raw.match(/(?:^|\s)\{([\d\s,-]+)\}/)?.[1]),
+    ins: parseLineRanges(raw.match(/(?:^|\s)ins=\{([\d\s,-]+)\}/)?.[1]),
+    del: parseLineRanges(raw.match(/(?:^|\s)del=\{([\d\s,-]+)\}/)?.[1])
+  };
+}
+
+/**
+ * Minimal hast element builder
+ * @param {string} tagName
+ * @param {Object} properties
+ * @param {Array} [children]
+ * @returns {Object} hast element
+ */
+function element(tagName, properties, children = []) {
+  return { type: 'element', tagName, properties, children };
+}
+
+/**
+ * Append a class to a hast element
+ * @param {Object} node - hast element
+ * @param {...string} classNames
+ */
+function addClass(node, ...classNames) {
+  const current = node.properties.class;
+  const list = Array.isArray(current) ? current : String(current || '').split(/\s+/).filter(Boolean);
+  node.properties.class = [...list, ...classNames].join(' ');
+}
+
+/**
+ * Shiki transformer wiring fence meta into the rendered block.
+ * Register in `markdown.shikiConfig.transformers`.
+ */
+export const codeBlockTransformer = {
+  name: 'terminal-code-block',
+
+  preprocess() {
+    this.meta.codeBlock = parseCodeMeta(this.options.meta?.__raw);
+  },
+
+  pre(node) {
+    addClass(node, 'code-block-pre');
+    if (this.meta.codeBlock.lineNumbers) {
+      addClass(node, 'has-line-numbers');
+    }
+  },
+
+  line(node, line) {
+    const { highlight, ins, del } = this.meta.codeBlock;
+    node.properties.dataLine = line;
+
+    if (highlight.has(line)) addClass(node, 'highlighted');
+    if (ins.has(line)) addClass(node, 'diff', 'add');
+    if (del.has(line)) addClass(node, 'diff', 'remove');
+  },
+
+  root(root) {
+    const pre = root.children.find(node => node.type === 'element' && node.tagName === 'pre');
+    if (!pre) return;
+
+    const { title } = this.meta.codeBlock;
+    const lang = this.options.lang && this.options.lang !== 'plaintext' ? this.options.lang : 'text';
+
+    const header = element('figcaption', { class: 'code-block-header' }, [
+      element('span', { class: 'code-block-bracket' }, [{ type: 'text', value: '[' }]),
+      element('span', { class: 'code-block-title' }, [{ type: 'text', value: title || lang }]),
+      element('span', { class: 'code-block-bracket' }, [{ type: 'text', value: ']' }]),
+      element('span', { class: 'code-block-line', ariaHidden: 'true' }),
+      ...(title ? [element('span', { class: 'code-block-lang' }, [{ type: 'text', value: lang }])] : []),
+      element('button', {
+        type: 'button',
+        class: 'code-block-copy',
+        dataCodeCopy: '',
+        ariaLabel: `Copy ${title || lang} code`
+      }, [{ type: 'text', value: '[COPY]' }])
+    ]);
+
+    root.children = root.children.map(node =>
+      node === pre ? element('figure', { class: 'code-block' }, [header, pre]) : node
+    );
+  }
+};
@@ -0,0 +1,92 @@
+/**
+ * Copy-to-clipboard for code blocks rendered by the codeBlocks transformer
+ * @module codeCopyController
+ */
+
+/**
+ * Handles `[data-code-copy]` buttons inside a content root with one delegated listener
+ */
+export class CodeCopyController {
+  /**
+   * @param {Object} config - Configuration options
+   * @param {HTMLElement} config.root - Element containing rendered code blocks
+   * @param {number} [config.copiedDuration=1500] - How long the button shows its confirmation (ms)
+   */
+  constructor(config) {
+    this.config = {
+      copiedDuration: 1500,
+      ...config
+    };
+
+    if (!this.config.root) {
+      throw new Error('CodeCopyController: root element is required');
+    }
+
+    this.timers = new Map();
+    this.handleClick = this.handleClick.bind(this);
+  }
+
+  /**
+   * Start listening for copy clicks
+   */
+  init() {
+    this.config.root.addEventListener('click', this.handleClick);
+  }
+
+  /**
+   * Delegated click handler
+   * @param {MouseEvent} event
+   */
+  async handleClick(event) {
+    const button = event.target.closest('[data-code-copy]');
+    if (!button || !this.config.root.contains(button)) return;
+
+    const code = button.closest('.code-block')?.querySelector('pre code');
+    if (!code) return;
+
+    const copied = await this.copy(code.innerText.replace(/\n$/, ''));
+    this._flash(button, copied ? '[COPIED]' : '[FAILED]');
+  }
+
+  /**
+   * Write text to the clipboard
+   * @param {string} text
+   * @returns {Promise<boolean>} Whether the copy succeeded
+   */
+  async copy(text) {
+    try {
+      await navigator.clipboard.writeText(text);
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Stop listening and restore button labels
+   */
+  destroy() {
+    this.config.root.removeEventListener('click', this.handleClick);
+    this.timers.forEach((timer, button) => {
+      clearTimeout(timer);
+      button.textContent = '[COPY]';
+    });
+    this.timers.clear();
+  }
+
+  /**
+   * Show a status label on a button, then restore it
+   * @private
+   * @param {HTMLElement} button
+   * @param {string} label
+   */
+  _flash(button, label) {
+    clearTimeout(this.timers.get(button));
+    button.textContent = label;
+
+    this.timers.set(button, setTimeout(() => {
+      button.textContent = '[COPY]';
+      this.timers.delete(button);
+    }, this.config.copiedDuration));
+  }
+}
@@ -0,0 +1,547 @@
+/**
+ * Command palette: fuzzy finder for pages, posts, projects, contacts and actions
+ * Items are built in the browser from a manifest rendered at build time
+ * (see components/CommandPalette.astro), so the palette works offline.
+ * @module commandPalette
+ */
+
+import { KEYBINDINGS } from '../config/keybindings.js';
+import { THEMES } from '../config/themes.js';
+import { keybindings } from './keybindings.js';
+import { ListenerBag } from './listeners.js';
+import { motionPreference } from './motionPreference.js';
+import { navigate } from './router.js';
+import { themeEngine } from './themeEngine.js';
+
+// Scoring for fuzzyMatch
+const MATCH_SCORE = 1;
+const CONSECUTIVE_BONUS = 4;
+const WORD_START_BONUS = 6;
+const FIRST_CHAR_BONUS = 4;
+const GAP_PENALTY = 0.1;
+// Matches on keywords rank below matches on the label
+const KEYWORD_WEIGHT = 0.5;
+
+const WORD_BOUNDARY = /[^\p{L}\p{N}]/u;
+
+/**
+ * Greedy subsequence match of a query starting from one position
+ * @param {string} needle - Lowercase query without spaces
+ * @param {string} haystack - Lowercase text
+ * @param {number} start - Index of the first query character in haystack
+ * @returns {{score: number, indices: number[]}|null}
+ */
+function matchFrom(needle, haystack, start) {
+  const indices = [];
+  let score = 0;
+  let from = start;
+
+  for (const char of needle) {
+    const index = haystack.indexOf(char, from);
+    if (index === -1) return null;
+
+    score += MATCH_SCORE;
+    if (index === indices.at(-1) + 1) score += CONSECUTIVE_BONUS;
+    if (index === 0) score += FIRST_CHAR_BONUS;
+    if (index === 0 || WORD_BOUNDARY.test(haystack[index - 1])) score += WORD_START_BONUS;
+    if (indices.length > 0) score -= (index - from) * GAP_PENALTY;
+
+    indices.push(index);
+    from = index + 1;
+  }
+
+  return { score, indices };
+}
+
+/**
+ * Fuzzy-match a query against text
+ * Every query character must appear in order. Consecutive runs and word
+ * starts score higher, so "gh" prefers "GitHub" over "Light".
+ * @param {string} query - Typed query; whitespace is ignored
+ * @param {string} text - Text to search
+ * @returns {{score: number, indices: number[]}|null} Matched character positions, or null
+ */
+export function fuzzyMatch(query, text = '') {
+  const needle = query.toLowerCase().replace(/\s+/g, '');
+  if (!needle) return { score: 0, indices: [] };
+
+  const haystack = text.toLowerCase();
+  let best = null;
+
+  // Try every occurrence of the first character; greedy from the leftmost
+  // one misses better matches later in the text
+  for (let start = haystack.indexOf(needle[0]); start !== -1; start = haystack.indexOf(needle[0], start + 1)) {
+    const match = matchFrom(needle, haystack, start);
+    if (!match) break;
+    if (!best || match.score > best.score) best = match;
+  }
+
+  return best;
+}
+
+/**
+ * Rank items against a query
+ * @param {Array<Object>} items - Palette items
+ * @param {string} query - Typed query
+ * @param {number} [limit=Infinity] - Maximum results
+ * @returns {Array<{item: Object, indices: number[]}>} Best first; indices refer to item.label
+ */
+export function rankItems(items, query, limit = Infinity) {
+  return items
+    .map((item, order) => {
+      const label = fuzzyMatch(query, item.label);
+      if (label) return { item, order, score: label.score, indices: label.indices };
+
+      const keywords = fuzzyMatch(query, item.keywords);
+      if (keywords) return { item, order, score: keywords.score * KEYWORD_WEIGHT, indices: [] };
+
+      return null;
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.score - a.score || a.order - b.order)
+    .slice(0, limit)
+    .map(({ item, indices }) => ({ item, indices }));
+}
+
+/**
+ * Write text to the clipboard
+ * @param {string} text
+ * @returns {Promise<boolean>} Whether the copy succeeded
+ */
+async function copyText(text) {
+  try {
+    await navigator.clipboard.writeText(text);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Build palette items from the site manifest
+ * Item shape: { id, group, label, hint?, keywords?, href? | external? | run? }
+ * `run` may return a status message (or a promise of one) shown in the palette.
+ * @param {Object} manifest - { routes, posts, projects, contacts }
+ * @returns {Array<Object>} Items in display order
+ */
+export function buildPaletteItems(manifest) {
+  const pages = manifest.routes.map(route => ({
+    id: `page:${route.href}`,
+    group: 'PAGE',
+    label: route.name,
+    hint: route.href,
+    href: route.href
+  }));
+
+  const posts = manifest.posts.map(post => ({
+    id: `post:${post.slug}`,
+    group: 'POST',
+    label: post.title,
+    hint: post.date,
+    keywords: `${post.slug} ${(post.tags || []).join(' ')}`,
+    href: `/blog/${post.slug}`
+  }));
+
+  const projects = manifest.projects.map(project => ({
+    id: `project:${project.slug}`,
+    group: 'PROJECT',
+    label: project.name,
+    hint: project.status,
+    keywords: project.slug,
+    href: `/projects/${project.slug}`
+  }));
+
+  // Channels without a link (e.g. Discord) copy their handle instead;
+  // only site-relative links go through the router
+  const contacts = manifest.contacts.map(channel => ({
+    id: `contact:${channel.name}`,
+    group: 'CONTACT',
+    label: channel.name,
+    hint: channel.handle,
+    ...(channel.url
+      ? { [channel.url.startsWith('/') ? 'href' : 'external']: channel.url }
+      : { run: async () => (await copyText(channel.handle)) ? `COPIED ${channel.handle}` : 'COPY FAILED' })
+  }));
+
+  const email = manifest.contacts.find(channel => channel.url?.startsWith('mailto:'));
+
+  const actions = [
+    {
+      id: 'action:theme-next',
+      group: 'ACTION',
+      label: 'Cycle colour theme',
+      keywords: 'theme phosphor color',
+      run: () => `THEME: ${themeEngine.get(themeEngine.cycle()).label}`
+    },
+    ...THEMES.map(theme => ({
+      id: `action:theme-${theme.id}`,
+      group: 'ACTION',
+      label: `Theme: ${theme.label}`,
+      hint: theme.description,
+      keywords: 'theme phosphor color',
+      run: () => {
+        themeEngine.set(theme.id);
+        return `THEME: ${theme.label}`;
+      }
+    })),
+    {
+      id: 'action:motion',
+      group: 'ACTION',
+      label: 'Toggle motion',
+      keywords: 'animation reduced motion',
+      run: () => {
+        motionPreference.setOverride(motionPreference.reduced ? 'full' : 'reduce');
+        return `MOTION: ${motionPreference.reduced ? 'OFF' : 'ON'}`;
+      }
+    },
+    ...(email ? [{
+      id: 'action:copy-email',
+      group: 'ACTION',
+      label: 'Copy email address',
+      hint: email.handle,
+      keywords: 'contact mail',
+      run: async () => (await copyText(email.handle)) ? 'EMAIL COPIED' : 'COPY FAILED'
+    }] : [])
+  ];
+
+  return [...pages, ...posts, ...projects, ...contacts, ...actions];
+}
+
+/**
+ * Drives the palette markup: filtering, keyboard selection, recent items and running items
+ */
+export class CommandPalette {
+  /**
+   * @param {Object} config - Palette configuration
+   * @param {HTMLElement} config.root - Element carrying the data-palette-* children
+   * @param {import('./modalController.js').ModalController} config.modal - Controller for the dialog
+   * @param {Array<Object>} config.items - Items from buildPaletteItems()
+   * @param {string} [config.recentKey='commandPaletteRecent'] - LocalStorage key for recent items
+   * @param {number} [config.maxRecent=5] - Maximum remembered items
+   * @param {number} [config.maxResults=30] - Maximum results for a query
+   * @param {string} [config.shortcut] - Key that opens and closes the palette (default: KEYBINDINGS.palette)
+   * @param {KeybindingManager} [config.keybindings] - Shortcut manager (default: shared instance)
+   */
+  constructor(config) {
+    this.config = {
+      recentKey: 'commandPaletteRecent',
+      maxRecent: 5,
+      maxResults: 30,
+      shortcut: KEYBINDINGS.palette,
+      keybindings,
+      ...config
+    };
+
+    if (!this.config.root || !this.config.modal) {
+      throw new Error('CommandPalette: root and modal are required');
+    }
+
+    this.root = this.config.root;
+    this.modal = this.config.modal;
+    this.items = this.config.items || [];
+    this.results = [];
+    this.active = 0;
+    this.listeners = new ListenerBag();
+    this.unbinds = [];
+
+    this.input = this.root.querySelector('[data-palette-input]');
+    this.list = this.root.querySelector('[data-palette-list]');
+    this.status = this.root.querySelector('[data-palette-status]');
+  }
+
+  /**
+   * Attach listeners and the open/close shortcut
+   */
+  init() {
+    if (!this.input || !this.list) {
+      console.warn('CommandPalette: palette markup is incomplete');
+      return;
+    }
+
+    const { shortcut, keybindings: keys } = this.config;
+    this.unbinds.push(
+      keys.bind(shortcut, () => this.modal.open(), {
+        allowInInput: true,
+        description: 'Open the command palette',
+        group: 'GENERAL'
+      }),
+      // While open the palette's own scope is active, so the same key closes it
+      keys.bind(shortcut, () => this.modal.close(), { scope: this.modal.scope, allowInInput: true }),
+      this.modal.on('open', () => this.reset())
+    );
+
+    this.listeners.add(this.input, 'input', () => this.filter(this.input.value));
+    this.listeners.add(this.input, 'keydown', (e) => this._handleKey(e));
+
+    this.listeners.add(this.list, 'click', (e) => {
+      const option = e.target.closest('[role="option"]');
+      if (option) this.run(Number(option.dataset.index));
+    });
+
+    this.listeners.add(this.list, 'mousemove', (e) => {
+      const option = e.target.closest('[role="option"]');
+      if (option && Number(option.dataset.index) !== this.active) {
+        this._setActive(Number(option.dataset.index));
+      }
+    });
+  }
+
+  /**
+   * Clear the query and show recent items first
+   */
+  reset() {
+    this.input.value = '';
+    this._setStatus('');
+    this.filter('');
+  }
+
+  /**
+   * Show the items matching a query
+   * @param {string} query - Typed query; empty lists recent items, then everything
+   */
+  filter(query) {
+    if (query.trim()) {
+      this.results = rankItems(this.items, query, this.config.maxResults);
+    } else {
+      const recent = this._loadRecent()
+        .map(id => this.items.find(item => item.id === id))
+        .filter(Boolean);
+      const rest = this.items.filter(item => !recent.includes(item));
+
+      this.results = [
+        ...recent.map(item => ({ item, indices: [], heading: 'RECENT' })),
+        ...rest.map(item => ({ item, indices: [], heading: 'ALL' }))
+      ];
+    }
+
+    this._render();
+    this._setActive(0);
+  }
+
+  /**
+   * Run a result: navigate to it, open it, or run its action
+   * Navigation closes the palette; actions keep it open and report in the status line.
+   * @param {number} index - Result index
+   * @returns {Promise<void>}
+   */
+  async run(index) {
+    const result = this.results[index];
+    if (!result) return;
+
+    const { item } = result;
+    this._pushRecent(item.id);
+
+    if (item.run) {
+      this._setStatus(await item.run() || '');
+      return;
+    }
+
+    if (item.external) {
+      this.modal.close(true);
+      if (/^https?:/i.test(item.external)) {
+        window.open(item.external, '_blank', 'noopener');
+      } else {
+        // mailto: and tel: hand off to another app; a new tab would stay blank
+        window.location.href = item.external;
+      }
+      return;
+    }
+
+    this.modal.close(true);
+    navigate(item.href);
+  }
+
+  /**
+   * Remove all listeners
+   */
+  destroy() {
+    this.listeners.clear();
+    this.unbinds.forEach(unbind => unbind());
+    this.unbinds = [];
+  }
+
+  /**
+   * Handle navigation keys in the query input
+   * @private
+   * @param {KeyboardEvent} e
+   */
+  _handleKey(e) {
+    const last = this.results.length - 1;
+
+    if (e.key === 'ArrowDown' || (e.ctrlKey && e.key === 'n')) {
+      e.preventDefault();
+      this._setActive(this.active >= last ? 0 : this.active + 1);
+    } else if (e.key === 'ArrowUp' || (e.ctrlKey && e.key === 'p')) {
+      e.preventDefault();
+      this._setActive(this.active <= 0 ? last : this.active - 1);
+    } else if (e.key === 'PageDown' || e.key === 'PageUp') {
+      e.preventDefault();
+      this._setActive(Math.max(0, Math.min(last, this.active + (e.key === 'PageDown' ? 10 : -10))));
+    } else if (e.key === 'Enter') {
+      e.preventDefault();
+      this.run(this.active);
+    }
+  }
+
+  /**
+   * Render the result list
+   * @private
+   */
+  _render() {
+    const rows = [];
+    let heading = null;
+
+    this.results.forEach(({ item, indices, heading: group }, index) => {
+      if (group && group !== heading) {
+        heading = group;
+        const header = document.createElement('li');
+        header.setAttribute('role', 'presentation');
+        header.className = 'px-2 pt-2 pb-1 text-phosphor-500/50';
+        header.textContent = `-- ${group} --`;
+        rows.push(header);
+      }
+
+      const option = document.createElement('li');
+      option.id = `${this.list.id}-${index}`;
+      option.dataset.index = String(index);
+      option.setAttribute('role', 'option');
+      option.setAttribute('aria-selected', 'false');
+      option.className = 'palette-option flex items-baseline gap-2 px-2 py-1 cursor-pointer';
+
+      const marker = document.createElement('span');
+      marker.className = 'palette-marker shrink-0 w-3';
+      marker.setAttribute('aria-hidden', 'true');
+
+      const label = document.createElement('span');
+      label.className = 'flex-1 min-w-0 truncate text-white';
+      label.append(...this._highlight(item.label, indices));
+
+      const tag = document.createElement('span');
+      tag.className = 'shrink-0 text-phosphor-500/50';
+      tag.textContent = `[${item.group}]`;
+
+      option.append(marker, label);
+
+      if (item.hint) {
+        const hint = document.createElement('span');
+        hint.className = 'hidden sm:inline shrink truncate max-w-[40%] text-phosphor-500/70';
+        hint.textContent = item.hint;
+        option.append(hint);
+      }
+
+      option.append(tag);
+      rows.push(option);
+    });
+
+    if (this.results.length === 0) {
+      const empty = document.createElement('li');
+      empty.setAttribute('role', 'presentation');
+      empty.className = 'px-2 py-1 text-phosphor-500/50';
+      empty.textContent = 'NO MATCHES';
+      rows.push(empty);
+    }
+
+    this.list.replaceChildren(...rows);
+  }
+
+  /**
+   * Split text into plain and highlighted nodes
+   * @private
+   * @param {string} text
+   * @param {number[]} indices - Matched character positions
+   * @returns {Node[]}
+   */
+  _highlight(text, indices) {
+    if (indices.length === 0) return [document.createTextNode(text)];
+
+    const matched = new Set(indices);
+    const nodes = [];
+    let run = '';
+    let runMatched = false;
+
+    const flush = () => {
+      if (!run) return;
+      if (runMatched) {
+        const mark = document.createElement('mark');
+        mark.className = 'text-black bg-phosphor-500';
+        mark.textContent = run;
+        nodes.push(mark);
+      } else {
+        nodes.push(document.createTextNode(run));
+      }
+      run = '';
+    };
+
+    [...text].forEach((char, index) => {
+      if (matched.has(index) !== runMatched) {
+        flush();
+        runMatched = matched.has(index);
+      }
+      run += char;
+    });
+    flush();
+
+    return nodes;
+  }
+
+  /**
+   * Move the selection and keep it in view
+   * @private
+   * @param {number} index - Result index
+   */
+  _setActive(index) {
+    this.active = index;
+
+    this.list.querySelectorAll('[role="option"]').forEach(option => {
+      const selected = Number(option.dataset.index) === index;
+      option.setAttribute('aria-selected', String(selected));
+      option.querySelector('.palette-marker').textContent = selected ? '>' : '';
+      if (selected) option.scrollIntoView({ block: 'nearest' });
+    });
+
+    if (this.results[index]) {
+      this.input.setAttribute('aria-activedescendant', `${this.list.id}-${index}`);
+    } else {
+      this.input.removeAttribute('aria-activedescendant');
+    }
+  }
+
+  /**
+   * Show a message in the status line
+   * @private
+   * @param {string} message
+   */
+  _setStatus(message) {
+    if (this.status) this.status.textContent = message;
+  }
+
+  /**
+   * Recently run item ids, newest first
+   * @private
+   * @returns {string[]}
+   */
+  _loadRecent() {
+    try {
+      const stored = JSON.parse(localStorage.getItem(this.config.recentKey) || '[]');
+      return Array.isArray(stored) ? stored : [];
+    } catch {
+      return [];
+    }
+  }
+
+  /**
+   * Remember a run item
+   * @private
+   * @param {string} id - Item id
+   */
+  _pushRecent(id) {
+    const recent = [id, ...this._loadRecent().filter(entry => entry !== id)]
+      .slice(0, this.config.maxRecent);
+
+    try {
+      localStorage.setItem(this.config.recentKey, JSON.stringify(recent));
+    } catch {
+      // Storage unavailable; recent items are not remembered
+    }
+  }
+}
@@ -0,0 +1,119 @@
+/**
+ * Pluggable command registry for the interactive terminal shell
+ * @module commandRegistry
+ */
+
+/**
+ * Split a command line into tokens, honouring single and double quotes
+ * @param {string} line - Raw command line
+ * @returns {string[]} Tokens (command name first)
+ */
+export function parseCommandLine(line) {
+  const tokens = [];
+  const pattern = /"([^"]*)"|'([^']*)'|(\S+)/g;
+  let match;
+
+  while ((match = pattern.exec(line)) !== null) {
+    tokens.push(match[1] ?? match[2] ?? match[3]);
+  }
+
+  return tokens;
+}
+
+/**
+ * Holds named commands and dispatches command lines to them
+ */
+export class CommandRegistry {
+  constructor() {
+    this.commands = new Map();
+  }
+
+  /**
+   * Register a command
+   * @param {string} name - Command name as typed at the prompt
+   * @param {Object} command - Command definition
+   * @param {string} command.description - One-line summary shown by `help`
+   * @param {string} [command.usage] - Usage string, e.g. "cat <post>"
+   * @param {Function} command.run - Handler called with (args, shell, rawArgs); rawArgs is the unparsed text after the name
+   * @param {Function} [command.complete] - Returns completion candidates for (partial, shell, args)
+   * @param {boolean} [command.hidden=false] - Hide from `help` listing
+   * @returns {CommandRegistry} The registry, for chaining
+   */
+  register(name, command) {
+    if (!name || typeof command?.run !== 'function') {
+      throw new Error(`CommandRegistry: command "${name}" needs a run function`);
+    }
+
+    this.commands.set(name, { usage: name, hidden: false, ...command, name });
+    return this;
+  }
+
+  /**
+   * Remove a command
+   * @param {string} name - Command name
+   */
+  unregister(name) {
+    this.commands.delete(name);
+  }
+
+  /**
+   * Look up a command by name
+   * @param {string} name - Command name
+   * @returns {Object|undefined} Command definition
+   */
+  get(name) {
+    return this.commands.get(name);
+  }
+
+  /**
+   * List visible commands sorted by name
+   * @returns {Object[]} Command definitions
+   */
+  list() {
+    return [...this.commands.values()]
+      .filter(command => !command.hidden)
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Command names starting with a prefix
+   * @param {string} prefix - Partial command name
+   * @returns {string[]} Matching names
+   */
+  completeName(prefix) {
+    return this.list()
+      .map(command => command.name)
+      .filter(name => name.startsWith(prefix));
+  }
+
+  /**
+   * Parse and run a command line
+   * @param {string} line - Raw command line
+   * @param {Object} shell - Shell API passed to the handler
+   * @returns {Promise<void>}
+   */
+  async execute(line, shell) {
+    const [name, ...args] = parseCommandLine(line);
+    if (!name) return;
+
+    const rawArgs = line.trim().replace(/^\S+\s*/, '');
+
+    const command = this.commands.get(name);
+    if (!command) {
+      shell.print(`${name}: command not found. Type 'help' for a list of commands.`, 'error');
+      return;
+    }
+
+    try {
+      await command.run(args, shell, rawArgs);
+    } catch (error) {
+      shell.print(`${name}: ${error.message}`, 'error');
+    }
+  }
+}
+
+/**
+ * Shared registry used by every shell on the page.
+ * Other modules can add commands with `shellRegistry.register(...)`.
+ */
+export const shellRegistry = new CommandRegistry();
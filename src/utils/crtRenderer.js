@@ -0,0 +1,509 @@
+/**
+ * WebGL CRT renderer
+ * Draws scanlines, screen curvature, phosphor bloom, the rolling VHS bar and
+ * noise in a single full-screen pass on a transparent canvas above the page.
+ * A canvas can't resample the DOM underneath it, so curvature is rendered as
+ * bowed scanlines and a curved bezel mask rather than warped content.
+ *
+ * While the renderer runs it sets `<html data-crt="webgl">`, which hides the
+ * CSS overlays; without WebGL it leaves them in place.
+ *
+ * The CSS overlays have their own frame-budget watcher, CrtOverlayQuality,
+ * which samples frames while the page scrolls and sets
+ * `<html data-crt-quality>` so global.css can pause or drop layers.
+ * @module crtRenderer
+ */
+
+import { CRT_CONFIG, CRT_QUALITY, CRT_QUALITY_ORDER } from '../config/crt.js';
+import { FrameBudgetMonitor } from './frameBudget.js';
+import { motionPreference } from './motionPreference.js';
+import { themeEngine } from './themeEngine.js';
+
+const VERTEX_SHADER = `
+attribute vec2 a_position;
+void main() {
+  gl_Position = vec4(a_position, 0.0, 1.0);
+}
+`;
+
+const FRAGMENT_SHADER = `
+#ifdef GL_FRAGMENT_PRECISION_HIGH
+precision highp float;
+#else
+precision mediump float;
+#endif
+
+uniform vec2 u_resolution;
+uniform float u_scale;
+uniform float u_time;
+uniform vec3 u_phosphor;
+uniform float u_scanlines;
+uniform float u_curvature;
+uniform float u_bloom;
+uniform float u_noise;
+uniform float u_vhsBar;
+
+float hash(vec2 p) {
+  return fract(sin(dot(p, vec2(12.9898, 78.233))) * 43758.5453);
+}
+
+void main() {
+  vec2 uv = gl_FragCoord.xy / u_resolution;
+  vec2 centered = uv * 2.0 - 1.0;
+
+  // Barrel curvature: bend the scanline grid and mask the corners
+  vec2 warped = centered * (1.0 + u_curvature * dot(centered, centered));
+  vec2 edge = smoothstep(vec2(0.98), vec2(1.0), abs(warped));
+  float bezel = max(edge.x, edge.y);
+
+  // Scanlines every 4 CSS pixels, 2 dark
+  float y = (warped.y * 0.5 + 0.5) * u_resolution.y / u_scale;
+  float scan = step(2.0, mod(y, 4.0)) * u_scanlines;
+
+  // Soft vignette toward the curved edges
+  float vignette = smoothstep(0.75, 1.45, length(warped)) * 0.35;
+
+  // Phosphor bloom: faint glow strongest in the middle of the screen
+  vec3 bloom = u_phosphor * u_bloom * (1.0 - smoothstep(0.0, 1.2, length(centered)));
+
+  // Rolling VHS tracking bar
+  float barY = 1.0 - fract(u_time * 0.08);
+  float bar = u_vhsBar * (1.0 - smoothstep(0.0, 0.006, abs(uv.y - barY))) * 0.35;
+
+  float grain = (hash(floor(gl_FragCoord.xy / u_scale) + fract(u_time) * 97.0) - 0.5) * u_noise;
+
+  float darkness = clamp(max(max(scan, vignette), bezel), 0.0, 1.0);
+  vec3 light = bloom + u_phosphor * bar + vec3(max(grain, 0.0));
+  float shade = max(-grain, 0.0);
+
+  // Premultiplied alpha: rgb adds light, alpha darkens what's underneath
+  gl_FragColor = vec4(light * (1.0 - darkness), clamp(darkness + shade, 0.0, 1.0));
+}
+`;
+
+/**
+ * Parse a hex colour to 0-1 RGB
+ * @param {string} value - "#rgb" or "#rrggbb"
+ * @returns {number[]|null}
+ */
+function parseHexColor(value) {
+  const hex = value.trim().replace(/^#/, '');
+  const full = hex.length === 3 ? hex.replace(/./g, c => c + c) : hex;
+  if (!/^[0-9a-f]{6}$/i.test(full)) return null;
+  return [0, 2, 4].map(i => parseInt(full.slice(i, i + 2), 16) / 255);
+}
+
+/**
+ * Neighbouring quality level, never better than the starting one
+ * @param {string} current - Current level
+ * @param {string} best - Configured starting level
+ * @param {number} direction - 1 for lower quality, -1 for higher
+ * @returns {string}
+ */
+function stepQuality(current, best, direction) {
+  const top = CRT_QUALITY_ORDER.indexOf(best);
+  const index = CRT_QUALITY_ORDER.indexOf(current) + direction;
+  return CRT_QUALITY_ORDER[Math.min(CRT_QUALITY_ORDER.length - 1, Math.max(top, index))];
+}
+
+export class CrtRenderer {
+  /**
+   * @param {Object} [config] - Configuration options, defaults from config/crt.js
+   * @param {string} [config.quality='high'] - Starting quality level
+   * @param {string[]} [config.disabledThemes] - Themes that hide the effect
+   * @param {Object} [config.budget] - FrameBudgetMonitor options
+   * @param {MotionPreference} [config.motion] - Motion preference to follow (default: shared instance)
+   * @param {ThemeEngine} [config.theme] - Theme engine to follow (default: shared instance)
+   * @param {HTMLElement} [config.container=document.body] - Where the canvas is inserted
+   */
+  constructor(config = {}) {
+    this.config = {
+      quality: CRT_CONFIG.quality,
+      disabledThemes: CRT_CONFIG.disabledThemes,
+      budget: CRT_CONFIG.budget,
+      motion: motionPreference,
+      theme: themeEngine,
+      container: document.body,
+      ...config
+    };
+
+    this.canvas = null;
+    this.gl = null;
+    this.program = null;
+    this.uniforms = {};
+    this.quality = this.config.quality;
+    this.phosphor = [1, 0.78, 0.28];
+    this.frameId = null;
+    this.lastDraw = 0;
+    this.startTime = 0;
+    this.unsubscribers = [];
+
+    this.monitor = new FrameBudgetMonitor({
+      ...this.config.budget,
+      onSlow: () => this.setQuality(this._step(1)),
+      onFast: () => this.setQuality(this._step(-1))
+    });
+
+    this._tick = this._tick.bind(this);
+    this._onResize = this._onResize.bind(this);
+    this._onVisibility = this._onVisibility.bind(this);
+    this._onContextLost = this._onContextLost.bind(this);
+  }
+
+  /**
+   * Create the canvas and start rendering
+   * @returns {boolean} False when WebGL is unavailable and the CSS overlays stay active
+   */
+  init() {
+    const canvas = document.createElement('canvas');
+    canvas.className = 'crt-canvas';
+    canvas.setAttribute('aria-hidden', 'true');
+
+    const gl = canvas.getContext('webgl', { alpha: true, premultipliedAlpha: true, antialias: false })
+      || canvas.getContext('experimental-webgl');
+    if (!gl || !this._compile(gl)) return false;
+
+    this.canvas = canvas;
+    this.gl = gl;
+    this.config.container.appendChild(canvas);
+    document.documentElement.dataset.crt = 'webgl';
+
+    window.addEventListener('resize', this._onResize);
+    document.addEventListener('visibilitychange', this._onVisibility);
+    canvas.addEventListener('webglcontextlost', this._onContextLost);
+
+    this.unsubscribers.push(
+      this.config.motion.subscribe(() => this._restart()),
+      this.config.theme.subscribe(() => {
+        this._readPhosphor();
+        this._restart();
+      })
+    );
+
+    this.startTime = performance.now();
+    this._readPhosphor();
+    this._onResize();
+    return true;
+  }
+
+  /**
+   * Change quality level
+   * @param {string} level - Key of CRT_QUALITY
+   */
+  setQuality(level) {
+    if (!CRT_QUALITY[level] || level === this.quality) return;
+    this.quality = level;
+    this._onResize();
+  }
+
+  /**
+   * Remove the canvas and bring the CSS overlays back
+   */
+  destroy() {
+    this._stop();
+    window.removeEventListener('resize', this._onResize);
+    document.removeEventListener('visibilitychange', this._onVisibility);
+    this.canvas?.removeEventListener('webglcontextlost', this._onContextLost);
+    this.unsubscribers.forEach(unsubscribe => unsubscribe());
+    this.unsubscribers = [];
+
+    this.canvas?.remove();
+    this.canvas = null;
+    this.gl = null;
+    delete document.documentElement.dataset.crt;
+  }
+
+  /**
+   * Whether the current theme turns the effect off
+   * @private
+   */
+  get _disabled() {
+    return this.config.disabledThemes.includes(this.config.theme.current);
+  }
+
+  /**
+   * Neighbouring quality level
+   * @private
+   * @param {number} direction - 1 for lower quality, -1 for higher
+   */
+  _step(direction) {
+    return stepQuality(this.quality, this.config.quality, direction);
+  }
+
+  /**
+   * Compile shaders and look up uniforms
+   * @private
+   * @param {WebGLRenderingContext} gl
+   * @returns {boolean} Success
+   */
+  _compile(gl) {
+    const shader = (type, source) => {
+      const s = gl.createShader(type);
+      gl.shaderSource(s, source);
+      gl.compileShader(s);
+      return gl.getShaderParameter(s, gl.COMPILE_STATUS) ? s : null;
+    };
+
+    const vertex = shader(gl.VERTEX_SHADER, VERTEX_SHADER);
+    const fragment = shader(gl.FRAGMENT_SHADER, FRAGMENT_SHADER);
+    if (!vertex || !fragment) return false;
+
+    const program = gl.createProgram();
+    gl.attachShader(program, vertex);
+    gl.attachShader(program, fragment);
+    gl.linkProgram(program);
+    if (!gl.getProgramParameter(program, gl.LINK_STATUS)) return false;
+
+    gl.useProgram(program);
+
+    // One triangle covering the viewport
+    gl.bindBuffer(gl.ARRAY_BUFFER, gl.createBuffer());
+    gl.bufferData(gl.ARRAY_BUFFER, new Float32Array([-1, -1, 3, -1, -1, 3]), gl.STATIC_DRAW);
+    const position = gl.getAttribLocation(program, 'a_position');
+    gl.enableVertexAttribArray(position);
+    gl.vertexAttribPointer(position, 2, gl.FLOAT, false, 0, 0);
+
+    ['resolution', 'scale', 'time', 'phosphor', 'scanlines', 'curvature', 'bloom', 'noise', 'vhsBar']
+      .forEach(name => { this.uniforms[name] = gl.getUniformLocation(program, `u_${name}`); });
+
+    this.program = program;
+    return true;
+  }
+
+  /**
+   * Pick up the active theme's phosphor colour
+   * @private
+   */
+  _readPhosphor() {
+    const value = getComputedStyle(document.documentElement).getPropertyValue('--terminal-phosphor');
+    this.phosphor = parseHexColor(value) || this.phosphor;
+  }
+
+  /**
+   * Size the canvas for the viewport and quality level, then redraw
+   * @private
+   */
+  _onResize() {
+    if (!this.canvas) return;
+
+    const scale = Math.min(window.devicePixelRatio || 1, CRT_QUALITY[this.quality].scale);
+    this.scale = scale;
+    this.canvas.width = Math.round(window.innerWidth * scale);
+    this.canvas.height = Math.round(window.innerHeight * scale);
+    this.gl.viewport(0, 0, this.canvas.width, this.canvas.height);
+    this._restart();
+  }
+
+  /**
+   * Draw one frame now and keep animating if the settings call for it
+   * @private
+   */
+  _restart() {
+    this._stop();
+    if (!this.gl) return;
+
+    this.canvas.hidden = this._disabled;
+    if (this._disabled) return;
+
+    this._draw(performance.now());
+
+    if (this._animated) {
+      this.monitor.reset();
+      this.frameId = requestAnimationFrame(this._tick);
+    }
+  }
+
+  /**
+   * Whether any layer moves at the current settings
+   * @private
+   */
+  get _animated() {
+    return CRT_QUALITY[this.quality].fps > 0 && !this.config.motion.reduced && !document.hidden;
+  }
+
+  /**
+   * Animation loop: feed the budget monitor every frame, draw at the quality's frame rate
+   * @private
+   * @param {number} timestamp
+   */
+  _tick(timestamp) {
+    this.frameId = requestAnimationFrame(this._tick);
+
+    const quality = this.quality;
+    this.monitor.record(timestamp);
+    if (quality !== this.quality) return; // setQuality() already restarted the loop
+
+    if (timestamp - this.lastDraw >= 1000 / CRT_QUALITY[quality].fps - 1) {
+      this._draw(timestamp);
+    }
+  }
+
+  /**
+   * Render a frame
+   * @private
+   * @param {number} timestamp
+   */
+  _draw(timestamp) {
+    const { gl, uniforms } = this;
+    const settings = CRT_QUALITY[this.quality];
+    const still = !this._animated;
+
+    this.lastDraw = timestamp;
+    gl.uniform2f(uniforms.resolution, this.canvas.width, this.canvas.height);
+    gl.uniform1f(uniforms.scale, this.scale);
+    gl.uniform1f(uniforms.time, (timestamp - this.startTime) / 1000);
+    gl.uniform3fv(uniforms.phosphor, this.phosphor);
+    gl.uniform1f(uniforms.scanlines, settings.scanlines);
+    gl.uniform1f(uniforms.curvature, settings.curvature);
+    gl.uniform1f(uniforms.bloom, settings.bloom);
+    gl.uniform1f(uniforms.noise, still ? 0 : settings.noise);
+    gl.uniform1f(uniforms.vhsBar, still || !settings.vhsBar ? 0 : 1);
+
+    gl.clearColor(0, 0, 0, 0);
+    gl.clear(gl.COLOR_BUFFER_BIT);
+    gl.drawArrays(gl.TRIANGLES, 0, 3);
+  }
+
+  /**
+   * Cancel the animation loop
+   * @private
+   */
+  _stop() {
+    cancelAnimationFrame(this.frameId);
+    this.frameId = null;
+  }
+
+  /**
+   * Pause while the tab is hidden
+   * @private
+   */
+  _onVisibility() {
+    this._restart();
+  }
+
+  /**
+   * Fall back to the CSS overlays if the GPU drops the context
+   * @private
+   * @param {Event} event
+   */
+  _onContextLost(event) {
+    event.preventDefault();
+    this.destroy();
+  }
+}
+
+/**
+ * Frame-budget control for the CSS overlays
+ * Frames are only sampled while the page scrolls, which is when the fixed
+ * overlays cost the most; an idle page would always look fast. Sampling is
+ * skipped while the WebGL renderer is active or the theme hides the effect,
+ * so the same instance takes over if WebGL falls back to CSS.
+ */
+export class CrtOverlayQuality {
+  /**
+   * @param {Object} [config] - Configuration options, defaults from config/crt.js
+   * @param {string} [config.quality='high'] - Starting quality level
+   * @param {string[]} [config.disabledThemes] - Themes that hide the overlays
+   * @param {Object} [config.budget] - FrameBudgetMonitor options
+   * @param {number} [config.idle=250] - Stop sampling this long after the last scroll (ms)
+   * @param {ThemeEngine} [config.theme] - Theme engine to follow (default: shared instance)
+   * @param {HTMLElement} [config.root=document.documentElement] - Element that gets data-crt-quality
+   */
+  constructor(config = {}) {
+    this.config = {
+      quality: CRT_CONFIG.quality,
+      disabledThemes: CRT_CONFIG.disabledThemes,
+      budget: CRT_CONFIG.budget,
+      idle: 250,
+      theme: themeEngine,
+      root: document.documentElement,
+      ...config
+    };
+
+    this.quality = this.config.quality;
+    this.frameId = null;
+    this.idleTimer = null;
+
+    this.monitor = new FrameBudgetMonitor({
+      ...this.config.budget,
+      onSlow: () => this.setQuality(stepQuality(this.quality, this.config.quality, 1)),
+      onFast: () => this.setQuality(stepQuality(this.quality, this.config.quality, -1))
+    });
+
+    this._tick = this._tick.bind(this);
+    this._onScroll = this._onScroll.bind(this);
+    this._stop = this._stop.bind(this);
+  }
+
+  /**
+   * Mark the starting quality and watch scrolling
+   */
+  init() {
+    this.config.root.dataset.crtQuality = this.quality;
+    window.addEventListener('scroll', this._onScroll, { passive: true });
+    document.addEventListener('visibilitychange', this._stop);
+  }
+
+  /**
+   * Change quality level
+   * @param {string} level - Key of CRT_QUALITY
+   */
+  setQuality(level) {
+    if (!CRT_QUALITY[level] || level === this.quality) return;
+    this.quality = level;
+    this.config.root.dataset.crtQuality = level;
+  }
+
+  /**
+   * Stop sampling and restore the full overlays
+   */
+  destroy() {
+    this._stop();
+    window.removeEventListener('scroll', this._onScroll);
+    document.removeEventListener('visibilitychange', this._stop);
+    delete this.config.root.dataset.crtQuality;
+  }
+
+  /**
+   * Whether the CSS overlays are what's on screen
+   * @private
+   */
+  get _active() {
+    return this.config.root.dataset.crt !== 'webgl'
+      && !this.config.disabledThemes.includes(this.config.theme.current)
+      && !document.hidden;
+  }
+
+  /**
+   * Sample frames until scrolling has been idle for a moment
+   * @private
+   */
+  _onScroll() {
+    if (!this._active) return;
+
+    clearTimeout(this.idleTimer);
+    this.idleTimer = setTimeout(this._stop, this.config.idle);
+    if (this.frameId === null) this.frameId = requestAnimationFrame(this._tick);
+  }
+
+  /**
+   * @private
+   * @param {number} timestamp
+   */
+  _tick(timestamp) {
+    this.monitor.record(timestamp);
+    this.frameId = requestAnimationFrame(this._tick);
+  }
+
+  /**
+   * End a sampling run, keeping its samples for the next one
+   * @private
+   */
+  _stop() {
+    cancelAnimationFrame(this.frameId);
+    clearTimeout(this.idleTimer);
+    this.frameId = null;
+    this.idleTimer = null;
+    this.monitor.interrupt();
+  }
+}
@@ -0,0 +1,133 @@
+/**
+ * Date formatting shared by pages, feeds and the title-bar clock
+ * VMS style: 07-JAN-2026 16:13:07. Formatting defaults to UTC because
+ * frontmatter dates are parsed as UTC midnight; pass `utc: false` for the
+ * visitor's local time.
+ * @module dates
+ */
+
+import { CARDANO_GENESIS } from '../config/clock.js';
+
+/**
+ * Month abbreviations, January first
+ */
+export const VMS_MONTHS = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
+
+const pad = (value, length = 2) => String(value).padStart(length, '0');
+
+/**
+ * Calendar fields in UTC or local time
+ * @param {Date} date
+ * @param {boolean} utc
+ * @returns {{year: number, month: number, day: number, hours: number, minutes: number, seconds: number}}
+ */
+function fields(date, utc) {
+  return utc
+    ? {
+      year: date.getUTCFullYear(),
+      month: date.getUTCMonth(),
+      day: date.getUTCDate(),
+      hours: date.getUTCHours(),
+      minutes: date.getUTCMinutes(),
+      seconds: date.getUTCSeconds()
+    }
+    : {
+      year: date.getFullYear(),
+      month: date.getMonth(),
+      day: date.getDate(),
+      hours: date.getHours(),
+      minutes: date.getMinutes(),
+      seconds: date.getSeconds()
+    };
+}
+
+/**
+ * VMS-style date, e.g. "07-JAN-2026"
+ * @param {Date} date
+ * @param {Object} [options]
+ * @param {boolean} [options.utc=true] - UTC rather than local time
+ * @returns {string}
+ */
+export function formatVMSDate(date, { utc = true } = {}) {
+  const { year, month, day } = fields(date, utc);
+  return `${pad(day)}-${VMS_MONTHS[month]}-${year}`;
+}
+
+/**
+ * 24-hour time, e.g. "16:13:07"
+ * @param {Date} date
+ * @param {Object} [options]
+ * @param {boolean} [options.utc=true] - UTC rather than local time
+ * @returns {string}
+ */
+export function formatVMSTime(date, { utc = true } = {}) {
+  const { hours, minutes, seconds } = fields(date, utc);
+  return `${pad(hours)}:${pad(minutes)}:${pad(seconds)}`;
+}
+
+/**
+ * VMS-style date and time, e.g. "07-JAN-2026 16:13:07"
+ * @param {Date} date
+ * @param {Object} [options]
+ * @param {boolean} [options.utc=true] - UTC rather than local time
+ * @returns {string}
+ */
+export function formatVMSDateTime(date, options) {
+  return `${formatVMSDate(date, options)} ${formatVMSTime(date, options)}`;
+}
+
+/**
+ * Short name of the local time zone at a date, e.g. "CET" or "GMT+2"
+ * @param {Date} [date=new Date()]
+ * @returns {string} Empty when Intl can't tell
+ */
+export function localTimeZoneName(date = new Date()) {
+  try {
+    return new Intl.DateTimeFormat('en-US', { timeZoneName: 'short' })
+      .formatToParts(date)
+      .find(part => part.type === 'timeZoneName')?.value || '';
+  } catch {
+    return '';
+  }
+}
+
+/**
+ * Seconds since 1970-01-01T00:00:00Z
+ * @param {Date} date
+ * @returns {number}
+ */
+export function unixTime(date) {
+  return Math.floor(date.getTime() / 1000);
+}
+
+/**
+ * Cardano epoch and slot at a date, computed from the genesis parameters
+ * @param {Date} date
+ * @param {Object} [genesis=CARDANO_GENESIS] - Network timing (config/clock.js)
+ * @returns {{epoch: number, slot: number, epochSlot: number, epochLength: number}|null}
+ *   Absolute slot, slot within the epoch and the epoch's length; null before the chain started
+ */
+export function cardanoTime(date, genesis = CARDANO_GENESIS) {
+  const elapsed = (date.getTime() - Date.parse(genesis.systemStart)) / 1000;
+  if (elapsed < 0) return null;
+
+  const byronSeconds = genesis.shelleyEpoch * genesis.byronEpochLength * genesis.byronSlotLength;
+
+  if (elapsed < byronSeconds) {
+    const slot = Math.floor(elapsed / genesis.byronSlotLength);
+    return {
+      epoch: Math.floor(slot / genesis.byronEpochLength),
+      slot,
+      epochSlot: slot % genesis.byronEpochLength,
+      epochLength: genesis.byronEpochLength
+    };
+  }
+
+  const shelleySlots = Math.floor((elapsed - byronSeconds) / genesis.slotLength);
+  return {
+    epoch: genesis.shelleyEpoch + Math.floor(shelleySlots / genesis.epochLength),
+    slot: genesis.shelleyEpoch * genesis.byronEpochLength + shelleySlots,
+    epochSlot: shelleySlots % genesis.epochLength,
+    epochLength: genesis.epochLength
+  };
+}
@@ -0,0 +1,61 @@
+/**
+ * Minimal event emitter for controllers
+ * @module emitter
+ */
+
+export class Emitter {
+  constructor() {
+    this.handlers = new Map();
+  }
+
+  /**
+   * Listen for an event
+   * @param {string} event - Event name
+   * @param {Function} handler - Called with the emitted arguments
+   * @returns {Function} Unsubscribe
+   */
+  on(event, handler) {
+    if (!this.handlers.has(event)) this.handlers.set(event, new Set());
+    this.handlers.get(event).add(handler);
+    return () => this.off(event, handler);
+  }
+
+  /**
+   * Listen for the next occurrence only
+   * @param {string} event - Event name
+   * @param {Function} handler - Called with the emitted arguments
+   * @returns {Function} Unsubscribe
+   */
+  once(event, handler) {
+    const off = this.on(event, (...args) => {
+      off();
+      handler(...args);
+    });
+    return off;
+  }
+
+  /**
+   * Stop listening
+   * @param {string} event - Event name
+   * @param {Function} handler - Handler passed to on()
+   */
+  off(event, handler) {
+    this.handlers.get(event)?.delete(handler);
+  }
+
+  /**
+   * Call every handler for an event
+   * @param {string} event - Event name
+   * @param {...*} args - Passed to handlers
+   */
+  emit(event, ...args) {
+    [...(this.handlers.get(event) || [])].forEach(handler => handler(...args));
+  }
+
+  /**
+   * Remove every handler
+   */
+  clear() {
+    this.handlers.clear();
+  }
+}
@@ -0,0 +1,216 @@
+/**
+ * RSS 2.0, Atom 1.0 and JSON Feed 1.1 generators for the blog collection
+ * @module feeds
+ */
+
+import { SITE_CONFIG } from '../config/navigation.js';
+import { tagSlug } from './tags.js';
+import { getPosts } from './posts.js';
+
+/**
+ * Feed formats: path suffix and content type
+ */
+export const FEED_FORMATS = {
+  rss: { file: 'rss.xml', type: 'application/rss+xml', title: 'RSS' },
+  atom: { file: 'atom.xml', type: 'application/atom+xml', title: 'Atom' },
+  json: { file: 'feed.json', type: 'application/feed+json', title: 'JSON Feed' }
+};
+
+/**
+ * Escape text for XML element content and attributes
+ * @param {string} value
+ * @returns {string}
+ */
+function escapeXml(value = '') {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Wrap HTML in a CDATA section, splitting any embedded terminator
+ * @param {string} html
+ * @returns {string}
+ */
+function cdata(html = '') {
+  return `<![CDATA[${html.replace(/]]>/g, ']]]]><![CDATA[>')}]]>`;
+}
+
+/**
+ * Rewrite root-relative href/src attributes to absolute URLs so
+ * links keep working inside feed readers
+ * @param {string} html - Rendered post HTML
+ * @param {URL|string} site - Site origin
+ * @returns {string}
+ */
+function absolutizeUrls(html, site) {
+  return html.replace(/(href|src)="\/(?!\/)([^"]*)"/g, (_, attr, path) => `${attr}="${new URL(`/${path}`, site)}"`);
+}
+
+/**
+ * Collect feed metadata and items for the whole blog or a single tag
+ * @param {Object} options
+ * @param {URL|string} options.site - Site origin (Astro `site`)
+ * @param {string} options.format - Key of FEED_FORMATS
+ * @param {string} [options.tag] - Tag slug to filter by
+ * @returns {Promise<Object>} Feed: { title, description, homeUrl, feedUrl, author, updated, items }
+ */
+export async function getFeed({ site, format, tag }) {
+  const posts = (await getPosts({ includeDrafts: false }))
+    .filter(post => !tag || (post.data.tags || []).some(t => tagSlug(t) === tag));
+
+  const feedPath = tag ? `/tags/${tag}/${FEED_FORMATS[format].file}` : `/${FEED_FORMATS[format].file}`;
+
+  const items = posts.map(post => {
+    const url = new URL(`/blog/${post.slug}/`, site).href;
+    return {
+      id: url,
+      url,
+      title: post.data.title,
+      summary: post.data.description,
+      html: absolutizeUrls(post.rendered?.html || '', site),
+      published: post.data.pubDate,
+      updated: post.data.updatedDate || post.data.pubDate,
+      author: post.data.author,
+      tags: post.data.tags || []
+    };
+  });
+
+  return {
+    title: tag ? `${SITE_CONFIG.name} #${tag}` : SITE_CONFIG.name,
+    description: tag
+      ? `${SITE_CONFIG.description} Posts tagged #${tag}.`
+      : SITE_CONFIG.description,
+    homeUrl: new URL('/blog/', site).href,
+    feedUrl: new URL(feedPath, site).href,
+    author: SITE_CONFIG.author,
+    updated: items.reduce((latest, item) => (item.updated > latest ? item.updated : latest), new Date(0)),
+    items
+  };
+}
+
+/**
+ * Render an RSS 2.0 document
+ * @param {Object} feed - Result of getFeed()
+ * @returns {string} XML
+ */
+export function renderRss(feed) {
+  const items = feed.items.map(item => `    <item>
+      <title>${escapeXml(item.title)}</title>
+      <link>${escapeXml(item.url)}</link>
+      <guid isPermaLink="true">${escapeXml(item.id)}</guid>
+      <pubDate>${item.published.toUTCString()}</pubDate>
+      <dc:creator>${escapeXml(item.author)}</dc:creator>
+      <description>${escapeXml(item.summary)}</description>
+${item.tags.map(tag => `      <category>${escapeXml(tag)}</category>`).join('\n')}
+      <content:encoded>${cdata(item.html)}</content:encoded>
+    </item>`).join('\n');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:content="http://purl.org/rss/1.0/modules/content/" xmlns:dc="http://purl.org/dc/elements/1.1/">
+  <channel>
+    <title>${escapeXml(feed.title)}</title>
+    <link>${escapeXml(feed.homeUrl)}</link>
+    <description>${escapeXml(feed.description)}</description>
+    <language>en</language>
+    <lastBuildDate>${feed.updated.toUTCString()}</lastBuildDate>
+    <atom:link href="${escapeXml(feed.feedUrl)}" rel="self" type="${FEED_FORMATS.rss.type}"/>
+${items}
+  </channel>
+</rss>
+`;
+}
+
+/**
+ * Render an Atom 1.0 document
+ * @param {Object} feed - Result of getFeed()
+ * @returns {string} XML
+ */
+export function renderAtom(feed) {
+  const entries = feed.items.map(item => `  <entry>
+    <id>${escapeXml(item.id)}</id>
+    <title>${escapeXml(item.title)}</title>
+    <link rel="alternate" type="text/html" href="${escapeXml(item.url)}"/>
+    <published>${item.published.toISOString()}</published>
+    <updated>${item.updated.toISOString()}</updated>
+    <author><name>${escapeXml(item.author)}</name></author>
+${item.tags.map(tag => `    <category term="${escapeXml(tagSlug(tag))}" label="${escapeXml(tag)}"/>`).join('\n')}
+    <summary>${escapeXml(item.summary)}</summary>
+    <content type="html">${escapeXml(item.html)}</content>
+  </entry>`).join('\n');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="en">
+  <id>${escapeXml(feed.feedUrl)}</id>
+  <title>${escapeXml(feed.title)}</title>
+  <subtitle>${escapeXml(feed.description)}</subtitle>
+  <updated>${feed.updated.toISOString()}</updated>
+  <link rel="self" type="${FEED_FORMATS.atom.type}" href="${escapeXml(feed.feedUrl)}"/>
+  <link rel="alternate" type="text/html" href="${escapeXml(feed.homeUrl)}"/>
+  <author><name>${escapeXml(feed.author)}</name></author>
+${entries}
+</feed>
+`;
+}
+
+/**
+ * Render a JSON Feed 1.1 document
+ * @param {Object} feed - Result of getFeed()
+ * @returns {string} JSON
+ */
+export function renderJsonFeed(feed) {
+  return JSON.stringify({
+    version: 'https://jsonfeed.org/version/1.1',
+    title: feed.title,
+    home_page_url: feed.homeUrl,
+    feed_url: feed.feedUrl,
+    description: feed.description,
+    language: 'en',
+    authors: [{ name: feed.author }],
+    items: feed.items.map(item => ({
+      id: item.id,
+      url: item.url,
+      title: item.title,
+      summary: item.summary,
+      content_html: item.html,
+      date_published: item.published.toISOString(),
+      date_modified: item.updated.toISOString(),
+      authors: [{ name: item.author }],
+      tags: item.tags
+    }))
+  }, null, 2);
+}
+
+const RENDERERS = {
+  rss: renderRss,
+  atom: renderAtom,
+  json: renderJsonFeed
+};
+
+/**
+ * Build the endpoint response for a feed
+ * @param {Object} options - Same as getFeed()
+ * @returns {Promise<Response>}
+ */
+export async function feedResponse(options) {
+  const feed = await getFeed(options);
+  const body = RENDERERS[options.format](feed);
+
+  return new Response(body, {
+    headers: { 'Content-Type': `${FEED_FORMATS[options.format].type}; charset=utf-8` }
+  });
+}
+
+/**
+ * Static paths for per-tag feed endpoints
+ * @returns {Promise<Array<{params: {tag: string}}>>}
+ */
+export async function getTagFeedPaths() {
+  const posts = await getPosts({ includeDrafts: false });
+  const slugs = new Set(posts.flatMap(post => (post.data.tags || []).map(tagSlug)));
+
+  return [...slugs].map(tag => ({ params: { tag } }));
+}
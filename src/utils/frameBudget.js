@@ -0,0 +1,104 @@
+/**
+ * Frame-budget monitor
+ * Fed with requestAnimationFrame timestamps, it keeps a rolling average of
+ * frame times and reports when the page is consistently over (or well under)
+ * its budget, so effects can trade quality for smooth scrolling.
+ * @module frameBudget
+ */
+
+export class FrameBudgetMonitor {
+  /**
+   * @param {Object} [config] - Configuration options
+   * @param {number} [config.targetFps=60] - Frame rate the budget is based on
+   * @param {number} [config.sampleSize=45] - Frames in the rolling window
+   * @param {number} [config.slowRatio=1.4] - Average above budget × ratio counts as slow
+   * @param {number} [config.fastRatio=1.1] - Average below budget × ratio counts as fast
+   * @param {number} [config.cooldown=3000] - Minimum time between reports (ms)
+   * @param {number} [config.maxGap=250] - Longer gaps (tab hidden, debugger) reset the window (ms)
+   * @param {Function} [config.onSlow] - Called with (averageFrameTime) when over budget
+   * @param {Function} [config.onFast] - Called with (averageFrameTime) when comfortably within budget
+   */
+  constructor(config = {}) {
+    this.config = {
+      targetFps: 60,
+      sampleSize: 45,
+      slowRatio: 1.4,
+      fastRatio: 1.1,
+      cooldown: 3000,
+      maxGap: 250,
+      onSlow: () => {},
+      onFast: () => {},
+      ...config
+    };
+
+    this.budget = 1000 / this.config.targetFps;
+    this.samples = [];
+    this.lastTimestamp = null;
+    this.lastReport = null;
+  }
+
+  /**
+   * Average frame time over the current window
+   * @returns {number|null} Milliseconds, or null until the window is full
+   */
+  get averageFrameTime() {
+    if (this.samples.length < this.config.sampleSize) return null;
+    return this.samples.reduce((total, sample) => total + sample, 0) / this.samples.length;
+  }
+
+  /**
+   * Record a frame
+   * @param {number} timestamp - requestAnimationFrame timestamp (ms)
+   * @returns {'slow'|'fast'|null} What was reported for this frame, if anything
+   */
+  record(timestamp) {
+    const previous = this.lastTimestamp;
+    this.lastTimestamp = timestamp;
+    if (previous === null) return null;
+
+    const delta = timestamp - previous;
+    if (delta > this.config.maxGap) {
+      this.samples = [];
+      return null;
+    }
+
+    this.samples.push(delta);
+    if (this.samples.length > this.config.sampleSize) this.samples.shift();
+
+    const average = this.averageFrameTime;
+    if (average === null) return null;
+    if (this.lastReport !== null && timestamp - this.lastReport < this.config.cooldown) return null;
+
+    let verdict = null;
+    if (average > this.budget * this.config.slowRatio) {
+      verdict = 'slow';
+      this.config.onSlow(average);
+    } else if (average < this.budget * this.config.fastRatio) {
+      verdict = 'fast';
+      this.config.onFast(average);
+    }
+
+    if (verdict) {
+      this.lastReport = timestamp;
+      this.samples = [];
+    }
+    return verdict;
+  }
+
+  /**
+   * Mark a break in the frame stream but keep the samples so far
+   * For callers that only sample some of the time (e.g. while scrolling):
+   * the next frame starts fresh instead of counting the idle gap.
+   */
+  interrupt() {
+    this.lastTimestamp = null;
+  }
+
+  /**
+   * Forget all samples, e.g. after the tab becomes visible again
+   */
+  reset() {
+    this.samples = [];
+    this.lastTimestamp = null;
+  }
+}
@@ -1,9 +1,15 @@
 /**
  * Glitch animation controller for CRT-style text effects
  * Manages timing, scheduling, and pattern application
+ * Each delay-glitch cycle is a timeline on the shared scheduler, so glitches
+ * follow the global time scale and stop cleanly with stop().
+ * Pauses while reduced motion is preferred and resumes when it is lifted.
  */
 
 import { getRandomGlitchPattern, applyGlitchPattern } from './glitchPatterns.js';
+import { motionPreference } from './motionPreference.js';
+import { resolveRandom } from './random.js';
+import { Timeline } from './timeline.js';
 
 export class GlitchAnimator {
   /**
@@ -13,6 +19,13 @@ export class GlitchAnimator {
    * @param {number} options.maxDelay - Maximum delay between glitches (ms)
    * @param {number} options.minDuration - Minimum glitch duration (ms)
    * @param {number} options.maxDuration - Maximum glitch duration (ms)
+   * @param {MotionPreference} options.motion - Motion preference to follow (default: shared instance)
+   * @param {number|string} options.seed - Seed for reproducible timing and patterns (default: Math.random)
+   * @param {Function} options.random - Random source to use instead of a seed
+   * @param {number} options.intensity - Fixed glitch intensity 0-1 (default: random per glitch)
+   * @param {string} options.pattern - Fixed registered pattern name (default: random per glitch)
+   * @param {Scheduler} options.scheduler - Scheduler to run on (default: shared instance)
+   * @param {Timeline} options.parent - Timeline whose cancellation also stops this animator
    */
   constructor(elementId, options = {}) {
     this.elementId = elementId;
@@ -21,10 +34,19 @@ export class GlitchAnimator {
       maxDelay: 8000,
       minDuration: 200,
       maxDuration: 600,
+      motion: motionPreference,
+      seed: null,
+      random: null,
+      intensity: undefined,
+      pattern: undefined,
+      scheduler: undefined,
+      parent: null,
       ...options
     };
+    this.random = resolveRandom(this.options);
     this.isRunning = false;
-    this.timeoutId = null;
+    this.timeline = null;
+    this.unsubscribeMotion = null;
   }
 
   /**
@@ -33,6 +55,15 @@ export class GlitchAnimator {
   start() {
     if (this.isRunning) return;
     this.isRunning = true;
+
+    this.unsubscribeMotion = this.options.motion.subscribe((reduced) => {
+      if (reduced) {
+        this._pause();
+      } else if (!this.timeline) {
+        this._scheduleNextGlitch();
+      }
+    });
+
     this._scheduleNextGlitch();
   }
 
@@ -41,28 +72,26 @@ export class GlitchAnimator {
    */
   stop() {
     this.isRunning = false;
-    if (this.timeoutId) {
-      clearTimeout(this.timeoutId);
-      this.timeoutId = null;
+    this._pause();
+
+    if (this.unsubscribeMotion) {
+      this.unsubscribeMotion();
+      this.unsubscribeMotion = null;
     }
   }
 
   /**
    * Trigger a single glitch immediately
+   * Does nothing while reduced motion is preferred.
+   * @returns {Timeline|null} The glitch timeline, or null if nothing ran
    */
   triggerOnce() {
+    if (this.options.motion.reduced) return null;
+
     const element = document.getElementById(this.elementId);
-    if (!element) return;
-
-    const glitchData = getRandomGlitchPattern();
-    applyGlitchPattern(element, glitchData);
-    
-    element.classList.add('glitch');
-    
-    const duration = this._randomDuration();
-    setTimeout(() => {
-      element.classList.remove('glitch');
-    }, duration);
+    if (!element) return null;
+
+    return this._glitchTimeline(element).play();
   }
 
   /**
@@ -70,37 +99,75 @@ export class GlitchAnimator {
    * @private
    */
   _scheduleNextGlitch() {
-    if (!this.isRunning) return;
+    if (!this.isRunning || this.options.motion.reduced) return;
 
-    const delay = this._randomDelay();
-    
-    this.timeoutId = setTimeout(() => {
-      this._executeGlitch();
-    }, delay);
-  }
-
-  /**
-   * Execute a glitch and schedule the next one
-   * @private
-   */
-  _executeGlitch() {
     const element = document.getElementById(this.elementId);
     if (!element) {
       this.stop();
       return;
     }
 
-    const glitchData = getRandomGlitchPattern();
-    applyGlitchPattern(element, glitchData);
-    
-    element.classList.add('glitch');
-    
-    const duration = this._randomDuration();
-    
-    setTimeout(() => {
-      element.classList.remove('glitch');
-      this._scheduleNextGlitch();
-    }, duration);
+    this.timeline?.cancel();
+
+    const timeline = this._timeline()
+      .wait(this._randomDelay())
+      .add(this._glitchTimeline(element));
+
+    this.timeline = timeline;
+    timeline.play().finished.then((completed) => {
+      if (this.timeline !== timeline) return;
+      this.timeline = null;
+      if (completed) this._scheduleNextGlitch();
+    });
+  }
+
+  /**
+   * Cancel pending glitches and clear any glitch in progress
+   * @private
+   */
+  _pause() {
+    this.timeline?.cancel();
+    this.timeline = null;
+    document.getElementById(this.elementId)?.classList.remove('glitch');
+  }
+
+  /**
+   * One glitch: apply a pattern, hold it, then remove it
+   * The glitch class is removed even if the timeline is cancelled midway.
+   * @private
+   * @param {HTMLElement} element
+   * @returns {Timeline}
+   */
+  _glitchTimeline(element) {
+    const clear = () => element.classList.remove('glitch');
+
+    return this._timeline({ onCancel: clear })
+      .call(() => {
+        applyGlitchPattern(element, this._nextPattern());
+        element.classList.add('glitch');
+      }, { undo: clear })
+      .wait(this._randomDuration())
+      .call(clear);
+  }
+
+  /**
+   * New timeline on this animator's scheduler
+   * @private
+   * @param {Object} [config] - Extra Timeline config
+   * @returns {Timeline}
+   */
+  _timeline(config = {}) {
+    const { scheduler, parent } = this.options;
+    return new Timeline({ scheduler, parent, ...config });
+  }
+
+  /**
+   * Next glitch from this animator's random source
+   * @private
+   */
+  _nextPattern() {
+    const { intensity, pattern } = this.options;
+    return getRandomGlitchPattern({ random: this.random, intensity, pattern });
   }
 
   /**
@@ -109,7 +176,7 @@ export class GlitchAnimator {
    */
   _randomDelay() {
     const { minDelay, maxDelay } = this.options;
-    return minDelay + Math.random() * (maxDelay - minDelay);
+    return minDelay + this.random() * (maxDelay - minDelay);
   }
 
   /**
@@ -118,7 +185,7 @@ export class GlitchAnimator {
    */
   _randomDuration() {
     const { minDuration, maxDuration } = this.options;
-    return minDuration + Math.random() * (maxDuration - minDuration);
+    return minDuration + this.random() * (maxDuration - minDuration);
   }
 }
 
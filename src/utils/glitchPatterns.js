@@ -1,94 +1,180 @@
 /**
- * Shared utility for generating random CRT-authentic glitch patterns
+ * Shared utility for generating CRT-authentic glitch patterns
  * Used by both TerminalHeader and TerminalIntro components
+ *
+ * Patterns live in a named registry so other modules can add their own with
+ * registerGlitchPattern(). Every pattern receives a random source and an
+ * intensity, so passing a seed reproduces the exact same glitch.
  */
 
-export function getRandomGlitchPattern() {
-  // Randomize intensity and speeds
-  const intensity = 0.5 + Math.random() * 1.5; // 0.5x to 2x speed
+import { resolveRandom } from './random.js';
+
+/**
+ * Registered clip-path pattern generators, by name
+ * @type {Map<string, GlitchPatternFn>}
+ */
+const glitchPatterns = new Map();
+
+/**
+ * @callback GlitchPatternFn
+ * @param {() => number} random - Random source in [0, 1); use instead of Math.random
+ * @param {number} intensity - Severity from 0 (barely visible) to 1 (heavy); 0.5 is typical
+ * @returns {{before: string, after: string}} clip-path polygons for the ::before and ::after layers
+ */
+
+/**
+ * Clamp a percentage to the element box and round it for compact CSS
+ * @param {number} value
+ * @returns {string} e.g. "42.17%"
+ */
+function percent(value) {
+  const clamped = Math.min(100, Math.max(0, value));
+  return `${Math.round(clamped * 100) / 100}%`;
+}
+
+/**
+ * Build a full-width polygon() from horizontal bands
+ * Each band is traced left-to-right along its top and right-to-left along its bottom.
+ * @param {...Array<number>} bands - [top, bottom] percentages
+ * @returns {string} CSS polygon()
+ */
+export function bandPolygon(...bands) {
+  const points = bands.flatMap(([top, bottom]) => [
+    `0 ${percent(top)}`,
+    `100% ${percent(top)}`,
+    `100% ${percent(bottom)}`,
+    `0 ${percent(bottom)}`
+  ]);
+  return `polygon(${points.join(', ')})`;
+}
+
+/**
+ * Add a glitch pattern to the registry
+ * Registering an existing name replaces that pattern.
+ * @param {string} name - Unique pattern name
+ * @param {GlitchPatternFn} fn - Pattern generator
+ */
+export function registerGlitchPattern(name, fn) {
+  if (!name || typeof fn !== 'function') {
+    throw new Error(`registerGlitchPattern: pattern "${name}" needs a generator function`);
+  }
+  glitchPatterns.set(name, fn);
+}
+
+/**
+ * Remove a glitch pattern from the registry
+ * @param {string} name - Pattern name
+ */
+export function unregisterGlitchPattern(name) {
+  glitchPatterns.delete(name);
+}
+
+/**
+ * Names of all registered patterns, in registration order
+ * @returns {string[]}
+ */
+export function getGlitchPatternNames() {
+  return [...glitchPatterns.keys()];
+}
+
+// Horizontal Sync Issue (multiple horizontal bands)
+registerGlitchPattern('hsync', (random, intensity) => {
+  const band1 = 15 + random() * 15; // 15-30%
+  const band2 = 35 + random() * 15; // 35-50%
+  const band3 = 55 + random() * 15; // 55-70%
+  const slip = 2 + intensity * 6;   // 5% at typical intensity
+  return {
+    before: bandPolygon([0, band1], [band2, band3]),
+    after: bandPolygon([band1 + slip, band2 + slip], [band3 + slip, 100])
+  };
+});
+
+// Color Convergence Error (RGB guns misaligned by section)
+registerGlitchPattern('convergence', (random, intensity) => {
+  const split1 = 25 + intensity * 10 + random() * 10; // 30-40% at typical intensity
+  const split2 = 65 - intensity * 10 + random() * 10; // 60-70%
+  return {
+    before: bandPolygon([0, split1]),
+    after: bandPolygon([split2, 100])
+  };
+});
+
+// Vertical Hold Slip (top/bottom tear opposite directions)
+registerGlitchPattern('vhold', (random, intensity) => {
+  const tear = 50 + (random() - 0.5) * 40 * intensity; // 40-60% at typical intensity
+  return {
+    before: bandPolygon([0, tear]),
+    after: bandPolygon([tear, 100])
+  };
+});
+
+// RF Interference Bands (thin horizontal bands)
+registerGlitchPattern('rf', (random, intensity) => {
+  const thickness = () => 2 + intensity * 6 + random() * 5; // 5-10% at typical intensity
+  const band1Start = 10 + random() * 15; // 10-25%
+  const band2Start = 35 + random() * 15; // 35-50%
+  const band3Start = 60 + random() * 20; // 60-80%
+  return {
+    before: bandPolygon(
+      [band1Start, band1Start + thickness()],
+      [band2Start, band2Start + thickness()]
+    ),
+    after: bandPolygon([band3Start, band3Start + thickness()])
+  };
+});
+
+// Interlaced Field Error (alternating scan lines)
+registerGlitchPattern('interlace', (random, intensity) => {
+  const field1 = 10 + intensity * 20 + random() * 20; // 20-40% at typical intensity
+  const field2 = 60 - intensity * 20 + random() * 20; // 50-70%
+  return {
+    before: bandPolygon([0, field1]),
+    after: bandPolygon([field2, 100])
+  };
+});
+
+// RGB split color variations, resolved per theme in global.css
+const COLOR_PAIRS = [
+  ['var(--glitch-pair-1-a)', 'var(--glitch-pair-1-b)'], // magenta/cyan - classic VHS
+  ['var(--glitch-pair-2-a)', 'var(--glitch-pair-2-b)'], // pink/green - vibrant retro
+];
+
+/**
+ * Generate a glitch: animation speeds, an RGB split colour pair and a clip pattern
+ * @param {Object} [options]
+ * @param {number|string} [options.seed] - Reproduce the same glitch every time
+ * @param {() => number} [options.random] - Random source, e.g. one shared seeded stream (wins over seed)
+ * @param {number} [options.intensity] - 0 to 1; random when omitted
+ * @param {string} [options.pattern] - Registered pattern name; random when omitted
+ * @returns {{name: string, intensity: number, speeds: Object, colorPair: string[], pattern: {before: string, after: string}}}
+ */
+export function getRandomGlitchPattern(options = {}) {
+  const random = resolveRandom(options);
+  const intensity = Math.min(1, Math.max(0, options.intensity ?? random()));
+
+  // Stronger glitches also run faster: 0.5x to 2x speed
+  const speedFactor = 0.5 + intensity * 1.5;
   const speeds = {
-    left: (0.15 + Math.random() * 0.15) / intensity,
-    right: (0.2 + Math.random() * 0.15) / intensity,
-    skew: (0.25 + Math.random() * 0.15) / intensity
+    left: (0.15 + random() * 0.15) / speedFactor,
+    right: (0.2 + random() * 0.15) / speedFactor,
+    skew: (0.25 + random() * 0.15) / speedFactor
   };
 
-  // RGB split color variations
-  const colors = [
-    ['#ff00ff', '#00ffff'], // magenta/cyan - classic VHS
-    ['#ff0088', '#00ff88'], // pink/green - vibrant retro
-    // ['#ff4400', '#0088ff'], // orange/blue - warm/cool contrast
-  ];
-  const colorPair = colors[Math.floor(Math.random() * colors.length)];
-
-  // CRT-authentic glitch patterns
-  const patterns = [
-    // Pattern 1: Horizontal Sync Issue (multiple horizontal bands)
-    () => {
-      const band1 = 15 + Math.random() * 15; // 15-30%
-      const band2 = 35 + Math.random() * 15; // 35-50%
-      const band3 = 55 + Math.random() * 15; // 55-70%
-      return {
-        before: `polygon(0 0, 100% 0, 100% ${band1}%, 0 ${band1}%, 0 ${band2}%, 100% ${band2}%, 100% ${band3}%, 0 ${band3}%)`,
-        after: `polygon(0 ${band1 + 5}%, 100% ${band1 + 5}%, 100% ${band2 + 5}%, 0 ${band2 + 5}%, 0 ${band3 + 5}%, 100% ${band3 + 5}%, 100% 100%, 0 100%)`
-      };
-    },
-    // Pattern 2: Color Convergence Error (RGB guns misaligned by section)
-    () => {
-      const split1 = 30 + Math.random() * 10; // 30-40%
-      const split2 = 60 + Math.random() * 10; // 60-70%
-      return {
-        before: `polygon(0 0, 100% 0, 100% ${split1}%, 0 ${split1}%)`,
-        after: `polygon(0 ${split2}%, 100% ${split2}%, 100% 100%, 0 100%)`
-      };
-    },
-    // Pattern 3: Vertical Hold Slip (top/bottom tear opposite directions)
-    () => {
-      const tear = 40 + Math.random() * 20; // 40-60%
-      return {
-        before: `polygon(0 0, 100% 0, 100% ${tear}%, 0 ${tear}%)`,
-        after: `polygon(0 ${tear}%, 100% ${tear}%, 100% 100%, 0 100%)`
-      };
-    },
-    // Pattern 4: RF Interference Bands (3-4 thin horizontal bands)
-    () => {
-      const band1Start = 10 + Math.random() * 15; // 10-25%
-      const band1Height = 5 + Math.random() * 5; // 5-10% thick
-      const band2Start = 35 + Math.random() * 15; // 35-50%
-      const band2Height = 5 + Math.random() * 5;
-      const band3Start = 60 + Math.random() * 20; // 60-80%
-      const band3Height = 5 + Math.random() * 5;
-      
-      return {
-        before: `polygon(
-          0 ${band1Start}%, 100% ${band1Start}%, 
-          100% ${band1Start + band1Height}%, 0 ${band1Start + band1Height}%,
-          0 ${band2Start}%, 100% ${band2Start}%,
-          100% ${band2Start + band2Height}%, 0 ${band2Start + band2Height}%
-        )`,
-        after: `polygon(
-          0 ${band3Start}%, 100% ${band3Start}%,
-          100% ${band3Start + band3Height}%, 0 ${band3Start + band3Height}%
-        )`
-      };
-    },
-    // Pattern 5: Interlaced Field Error (alternating scan lines)
-    () => {
-      const field1 = 20 + Math.random() * 20; // 20-40%
-      const field2 = 50 + Math.random() * 20; // 50-70%
-      return {
-        before: `polygon(0 0, 100% 0, 100% ${field1}%, 0 ${field1}%)`,
-        after: `polygon(0 ${field2}%, 100% ${field2}%, 100% 100%, 0 100%)`
-      };
-    }
-  ];
-
-  // Select random pattern
-  const pattern = patterns[Math.floor(Math.random() * patterns.length)]();
+  const colorPair = COLOR_PAIRS[Math.floor(random() * COLOR_PAIRS.length)];
+
+  const names = getGlitchPatternNames();
+  const name = options.pattern ?? names[Math.floor(random() * names.length)];
+  const generate = glitchPatterns.get(name);
+  if (!generate) {
+    throw new Error(`getRandomGlitchPattern: unknown pattern "${name}"`);
+  }
 
   return {
+    name,
+    intensity,
     speeds,
     colorPair,
-    pattern
+    pattern: generate(random, intensity)
   };
 }
 
@@ -99,7 +185,7 @@ export function getRandomGlitchPattern() {
  */
 export function applyGlitchPattern(element, glitchData) {
   const { speeds, colorPair, pattern } = glitchData;
-  
+
   element.style.setProperty('--glitch-left-speed', `${speeds.left}s`);
   element.style.setProperty('--glitch-right-speed', `${speeds.right}s`);
   element.style.setProperty('--glitch-skew-speed', `${speeds.skew}s`);
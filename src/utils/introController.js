@@ -3,6 +3,11 @@
  * @module introController
  */
 
+import { ANY_KEY, keybindings } from './keybindings.js';
+import { motionPreference } from './motionPreference.js';
+import { isSoftNavigation } from './router.js';
+import { delay } from './timeline.js';
+
 /**
  * Manages intro animation lifecycle, skip handlers, and session state
  */
@@ -17,6 +22,8 @@ export class IntroController {
    * @param {boolean} [config.showOnRefresh=true] - Show intro on page refresh
    * @param {Function} [config.onSkip] - Callback when intro is skipped
    * @param {Function} [config.onComplete] - Callback when intro completes naturally
+   * @param {MotionPreference} [config.motion] - Motion preference to follow (default: shared instance)
+   * @param {KeybindingManager} [config.keybindings] - Shortcut manager (default: shared instance)
    */
   constructor(config) {
     this.config = {
@@ -27,6 +34,8 @@ export class IntroController {
       showOnRefresh: true,
       onSkip: null,
       onComplete: null,
+      motion: motionPreference,
+      keybindings,
       ...config
     };
     
@@ -38,6 +47,7 @@ export class IntroController {
     this.isSkipped = false;
     this.isComplete = false;
     this.skipHandlers = [];
+    this.releaseKeys = null;
   }
   
   /**
@@ -80,6 +90,14 @@ export class IntroController {
     return true;
   }
   
+  /**
+   * Whether the intro should run as a static sequence (no flicker, glitch or fade)
+   * @returns {boolean}
+   */
+  get reducedMotion() {
+    return this.config.motion.reduced;
+  }
+  
   /**
    * Skip the intro animation
    */
@@ -125,10 +143,14 @@ export class IntroController {
   
   /**
    * Check if current navigation is a page reload
+   * Client-side navigations never count: the timing entry still describes
+   * the document's original load.
    * @private
    * @returns {boolean}
    */
   _isPageReload() {
+    if (isSoftNavigation()) return false;
+
     const perfEntries = performance.getEntriesByType('navigation');
     return perfEntries.length > 0 && perfEntries[0].type === 'reload';
   }
@@ -140,13 +162,16 @@ export class IntroController {
   _hideIntro() {
     if (!this.introElement) return;
     
-    this.introElement.classList.add('hidden');
+    this._removeHandlers();
     
-    setTimeout(() => {
+    if (this.reducedMotion) {
       this._removeIntro();
-    }, this.config.fadeOutDuration);
+      return;
+    }
     
-    this._removeHandlers();
+    this.introElement.classList.add('hidden');
+    
+    delay(this.config.fadeOutDuration).then(() => this._removeIntro());
   }
   
   /**
@@ -161,15 +186,23 @@ export class IntroController {
   
   /**
    * Attach keyboard skip handler
+   * The intro gets its own keybinding scope, so site shortcuts stay quiet
+   * until it is gone and the first key press only skips.
    * @private
    */
   _attachKeyHandler() {
-    const handler = (e) => {
-      this.skip();
+    const keys = this.config.keybindings;
+    const popScope = keys.pushScope('intro');
+    const unbind = keys.bind(ANY_KEY, () => this.skip(), {
+      scope: 'intro',
+      allowInInput: true,
+      preventDefault: false
+    });
+
+    this.releaseKeys = () => {
+      unbind();
+      popScope();
     };
-    
-    document.addEventListener('keydown', handler);
-    this.skipHandlers.push({ type: 'keydown', handler });
   }
   
   /**
@@ -194,5 +227,7 @@ export class IntroController {
       document.removeEventListener(type, handler);
     });
     this.skipHandlers = [];
+    this.releaseKeys?.();
+    this.releaseKeys = null;
   }
 }
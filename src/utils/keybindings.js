@@ -0,0 +1,267 @@
+/**
+ * Site-wide keyboard shortcut manager
+ * One document listener dispatches single keys ("?"), modified keys ("mod+k")
+ * and chord sequences ("g h") to bindings. Bindings belong to scopes: pushing
+ * a scope (an open modal, the intro) makes its bindings the only active ones
+ * until it is popped, so controllers never compete for the same keydown.
+ * @module keybindings
+ */
+
+import { KEYBINDINGS } from '../config/keybindings.js';
+
+/**
+ * Scope that is active when nothing has been pushed
+ */
+export const GLOBAL_SCOPE = 'global';
+
+/**
+ * Binding key that matches any key press in its scope
+ */
+export const ANY_KEY = '*';
+
+const MODIFIERS = ['ctrl', 'alt', 'meta', 'shift'];
+const MODIFIER_KEYS = new Set(['Control', 'Alt', 'AltGraph', 'Meta', 'Shift', 'CapsLock', 'OS']);
+const EDITABLE = 'input, textarea, select, [contenteditable]:not([contenteditable="false"])';
+
+/**
+ * Normalize one key combination, e.g. "Shift+Tab" -> "shift+tab"
+ * Single characters keep their case and imply Shift ("?" not "shift+/"),
+ * named keys are lowercased, and modifiers are sorted.
+ * @param {string} combo - Key combination as written in a binding
+ * @returns {string}
+ */
+function normalizeCombo(combo) {
+  const parts = combo.split('+');
+  let key = parts.pop();
+  if (key.length > 1) key = key.toLowerCase();
+
+  const modifiers = new Set(parts.map(part => part.toLowerCase()));
+  if (key.length === 1) modifiers.delete('shift');
+
+  return [...MODIFIERS.filter(m => modifiers.has(m)), key].join('+');
+}
+
+/**
+ * Parse a binding into the key sequences it matches
+ * `mod` stands for Ctrl on Windows/Linux and Cmd on macOS, so "mod+k"
+ * expands to both.
+ * @param {string} keys - e.g. "g h", "mod+k", "?", "Escape"
+ * @returns {string[]} Normalized sequences, steps separated by spaces
+ */
+export function parseKeys(keys) {
+  const steps = keys.trim().split(/\s+/);
+
+  return steps.reduce((sequences, step) => {
+    const combos = /(^|\+)mod\+/i.test(step)
+      ? [step.replace(/mod\+/i, 'ctrl+'), step.replace(/mod\+/i, 'meta+')]
+      : [step];
+
+    return sequences.flatMap(prefix =>
+      combos.map(combo => [prefix, normalizeCombo(combo)].filter(Boolean).join(' '))
+    );
+  }, ['']);
+}
+
+/**
+ * Normalized combination for a keydown event
+ * @param {KeyboardEvent} e
+ * @returns {string}
+ */
+export function eventCombo(e) {
+  const key = e.key === ' ' ? 'space' : e.key;
+  const modifiers = [
+    e.ctrlKey && 'ctrl',
+    e.altKey && 'alt',
+    e.metaKey && 'meta',
+    e.shiftKey && key.length > 1 && 'shift'
+  ].filter(Boolean);
+
+  return [...modifiers, key.length > 1 ? key.toLowerCase() : key].join('+');
+}
+
+/**
+ * Readable label for a binding, e.g. "mod+k" -> "Ctrl/Cmd+K", "g h" -> "g h"
+ * @param {string} keys - Binding as written
+ * @returns {string}
+ */
+export function formatKeys(keys) {
+  return keys.trim().split(/\s+/).map(step =>
+    step.split('+').map(part => {
+      if (part.toLowerCase() === 'mod') return 'Ctrl/Cmd';
+      if (part.length === 1) return step.includes('+') ? part.toUpperCase() : part;
+      return part[0].toUpperCase() + part.slice(1);
+    }).join('+')
+  ).join(' ');
+}
+
+/**
+ * Dispatches keydown events to scoped bindings
+ */
+export class KeybindingManager {
+  /**
+   * @param {Object} [config] - Configuration options
+   * @param {EventTarget} [config.target=document] - Element whose keydown events are handled
+   * @param {number} [config.sequenceTimeout] - Time allowed between the steps of a sequence (ms)
+   */
+  constructor(config = {}) {
+    this.config = {
+      target: typeof document !== 'undefined' ? document : null,
+      sequenceTimeout: KEYBINDINGS.sequenceTimeout,
+      ...config
+    };
+
+    this.bindings = [];
+    this.scopes = [];
+    this.pending = '';
+    this.pendingTimer = null;
+
+    this._onKeydown = (e) => this._dispatch(e);
+    this.config.target?.addEventListener('keydown', this._onKeydown);
+  }
+
+  /**
+   * Scope whose bindings currently receive keys
+   * @returns {string}
+   */
+  get scope() {
+    return this.scopes.at(-1)?.name ?? GLOBAL_SCOPE;
+  }
+
+  /**
+   * Add a binding
+   * @param {string} keys - Key, combination or space-separated sequence; ANY_KEY matches everything
+   * @param {Function} handler - Called with (event); return false to let the event through
+   * @param {Object} [options]
+   * @param {string} [options.scope='global'] - Scope the binding belongs to
+   * @param {string} [options.description] - Shown in the help overlay; undocumented bindings are hidden
+   * @param {string} [options.group] - Heading in the help overlay
+   * @param {boolean} [options.allowInInput=false] - Also fire while typing in a form field
+   * @param {boolean} [options.preventDefault=true] - Cancel the browser's default action
+   * @returns {Function} Unbind
+   */
+  bind(keys, handler, options = {}) {
+    const binding = {
+      keys,
+      handler,
+      sequences: keys === ANY_KEY ? [ANY_KEY] : parseKeys(keys),
+      scope: GLOBAL_SCOPE,
+      description: '',
+      group: '',
+      allowInInput: false,
+      preventDefault: true,
+      ...options
+    };
+
+    this.bindings.push(binding);
+    return () => this.unbind(binding);
+  }
+
+  /**
+   * Remove a binding added with bind()
+   * @param {Object} binding
+   */
+  unbind(binding) {
+    this.bindings = this.bindings.filter(b => b !== binding);
+  }
+
+  /**
+   * Make a scope the active one until the returned function is called
+   * Scopes can be popped out of order (e.g. a modal under another closing first).
+   * @param {string} name - Scope name
+   * @returns {Function} Pop this scope
+   */
+  pushScope(name) {
+    const entry = { name };
+    this.scopes.push(entry);
+    this._resetSequence();
+
+    return () => {
+      this.scopes = this.scopes.filter(scope => scope !== entry);
+      this._resetSequence();
+    };
+  }
+
+  /**
+   * Documented bindings, for the help overlay
+   * @param {string} [scope='global'] - Scope to list
+   * @returns {Array<{keys: string, description: string, group: string}>}
+   */
+  list(scope = GLOBAL_SCOPE) {
+    return this.bindings
+      .filter(b => b.scope === scope && b.description)
+      .map(({ keys, description, group }) => ({ keys, description, group }));
+  }
+
+  /**
+   * Stop listening and drop every binding
+   */
+  destroy() {
+    this.config.target?.removeEventListener('keydown', this._onKeydown);
+    this._resetSequence();
+    this.bindings = [];
+    this.scopes = [];
+  }
+
+  /**
+   * Match a keydown against the active scope
+   * @private
+   * @param {KeyboardEvent} e
+   */
+  _dispatch(e) {
+    // Autofill fires keydown events without a key
+    if (typeof e.key !== 'string' || e.isComposing || MODIFIER_KEYS.has(e.key)) return;
+
+    const inInput = Boolean(e.target?.closest?.(EDITABLE));
+    const active = this.bindings.filter(b =>
+      b.scope === this.scope && (b.allowInInput || !inInput)
+    );
+    const combo = eventCombo(e);
+
+    // Continue a sequence in progress, or start over with this key alone
+    const attempts = this.pending ? [`${this.pending} ${combo}`, combo] : [combo];
+
+    for (const sequence of attempts) {
+      const binding = active.find(b => b.sequences.includes(sequence))
+        || active.find(b => b.sequences.includes(ANY_KEY));
+
+      if (binding) {
+        this._resetSequence();
+        if (binding.handler(e) !== false && binding.preventDefault) e.preventDefault();
+        return;
+      }
+
+      if (active.some(b => b.sequences.some(s => s.startsWith(`${sequence} `)))) {
+        this._startSequence(sequence);
+        return;
+      }
+    }
+
+    this._resetSequence();
+  }
+
+  /**
+   * Wait for the next step of a sequence
+   * @private
+   * @param {string} sequence - Steps so far
+   */
+  _startSequence(sequence) {
+    this._resetSequence();
+    this.pending = sequence;
+    this.pendingTimer = setTimeout(() => this._resetSequence(), this.config.sequenceTimeout);
+  }
+
+  /**
+   * Forget a partial sequence
+   * @private
+   */
+  _resetSequence() {
+    clearTimeout(this.pendingTimer);
+    this.pendingTimer = null;
+    this.pending = '';
+  }
+}
+
+/**
+ * Shared instance used by every controller on the page
+ */
+export const keybindings = new KeybindingManager();
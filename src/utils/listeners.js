@@ -0,0 +1,37 @@
+/**
+ * DOM listeners that are removed together, for controllers' destroy()
+ * @module listeners
+ */
+
+export class ListenerBag {
+  constructor() {
+    this.entries = [];
+  }
+
+  /**
+   * Add a listener that clear() will remove
+   * @param {EventTarget} target - Element, document or window
+   * @param {string} type - Event type
+   * @param {Function} handler - Event handler
+   * @param {AddEventListenerOptions|boolean} [options] - Passed to addEventListener
+   * @returns {Function} Remove this listener only
+   */
+  add(target, type, handler, options) {
+    const entry = { target, type, handler, options };
+    target.addEventListener(type, handler, options);
+    this.entries.push(entry);
+
+    return () => {
+      this.entries = this.entries.filter(other => other !== entry);
+      target.removeEventListener(type, handler, options);
+    };
+  }
+
+  /**
+   * Remove every listener
+   */
+  clear() {
+    this.entries.forEach(({ target, type, handler, options }) => target.removeEventListener(type, handler, options));
+    this.entries = [];
+  }
+}
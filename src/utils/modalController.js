@@ -1,42 +1,125 @@
 /**
- * Generic modal state management controller
- * Handles open/close state, animations, and event coordination
+ * Accessible modal dialog controller
+ * Handles open/close state, animations, focus management and stacking.
+ *
+ * While a modal is open, focus is trapped inside it, everything outside it
+ * is made `inert`, and closing returns focus to whatever opened it. Several
+ * modals can be open at once; Escape, Tab and the inert background always
+ * belong to the top-most one. Keys are handled through a keybinding scope
+ * (`modal:<id>`), which also silences site-wide shortcuts while open.
  */
 
+import { Emitter } from './emitter.js';
+import { keybindings } from './keybindings.js';
+import { ListenerBag } from './listeners.js';
+import { motionPreference } from './motionPreference.js';
+
+const FOCUSABLE = [
+  'a[href]',
+  'button:not([disabled])',
+  'input:not([disabled]):not([type="hidden"])',
+  'select:not([disabled])',
+  'textarea:not([disabled])',
+  '[tabindex]:not([tabindex="-1"])'
+].join(', ');
+
+/**
+ * Open modals, bottom to top
+ * @type {ModalController[]}
+ */
+const modalStack = [];
+
+/**
+ * Background elements made inert for the top-most modal
+ * @type {HTMLElement[]}
+ */
+let inertBackground = [];
+
+/**
+ * Currently open modals, bottom to top
+ * @returns {ModalController[]}
+ */
+export function getModalStack() {
+  return [...modalStack];
+}
+
 export class ModalController {
   /**
    * @param {Object} config - Modal configuration
    * @param {string} config.modalId - ID of the modal element
    * @param {string[]} config.triggerIds - IDs of elements that open the modal
    * @param {string[]} config.closeIds - IDs of elements that close the modal
+   * @param {Object} config.triggerLabels - { open, close } text for triggers; null leaves them alone
+   * @param {Object} config.triggerAriaLabels - { open, close } aria-label for triggers; null leaves them alone
+   * @param {string|HTMLElement} config.initialFocus - Selector or element focused on open (default: first focusable)
+   * @param {boolean} config.restoreFocus - Return focus to the previously focused element on close
    * @param {number} config.transitionDuration - Animation duration in ms
-   * @param {Function} config.onOpen - Callback when modal opens
-   * @param {Function} config.onClose - Callback when modal closes
+   * @param {Function} config.onOpen - Callback when modal opens (same as on('open'))
+   * @param {Function} config.onClose - Callback when modal closes (same as on('close'))
    * @param {boolean} config.closeOnNavigation - Auto-close when clicking nav links
    * @param {boolean} config.closeOnEscape - Close on Escape key
+   * @param {boolean} config.closeOnBackdrop - Close on clicks on the modal element itself, outside its content
    * @param {boolean} config.closeOnResize - Close on window resize to desktop
    * @param {number} config.resizeBreakpoint - Breakpoint for resize close (px)
+   * @param {MotionPreference} config.motion - Motion preference; closes instantly when reduced
+   * @param {KeybindingManager} config.keybindings - Shortcut manager (default: shared instance)
    */
   constructor(config) {
     this.config = {
+      triggerIds: [],
+      closeIds: [],
+      triggerLabels: null,
+      triggerAriaLabels: null,
+      initialFocus: null,
+      restoreFocus: true,
       transitionDuration: 200,
       closeOnNavigation: true,
       closeOnEscape: true,
+      closeOnBackdrop: false,
       closeOnResize: true,
       resizeBreakpoint: 768,
       onOpen: () => {},
       onClose: () => {},
+      motion: motionPreference,
+      keybindings,
       ...config
     };
-    
+
     this.isOpen = false;
     this.modal = null;
     this.triggers = [];
     this.closeButtons = [];
-    
+    this.listeners = new ListenerBag();
+    this.unbinds = [];
+    this.popScope = null;
+    this.scope = `modal:${this.config.modalId}`;
+    this.timers = new Set();
+    this.returnFocus = null;
+    this.events = new Emitter();
+
     this._init();
   }
 
+  /**
+   * Listen for 'open', 'close' or 'destroy'
+   * Handlers receive the controller.
+   * @param {string} event - Event name
+   * @param {Function} handler
+   * @returns {Function} Unsubscribe
+   */
+  on(event, handler) {
+    return this.events.on(event, handler);
+  }
+
+  /**
+   * Stop listening
+   * @param {string} event - Event name
+   * @param {Function} handler
+   */
+  off(event, handler) {
+    this.events.off(event, handler);
+  }
+
   /**
    * Initialize modal elements and event listeners
    * @private
@@ -50,14 +133,22 @@ export class ModalController {
     }
 
     // Get trigger elements
-    this.triggers = this.config.triggerIds
-      ?.map(id => document.getElementById(id))
-      .filter(Boolean) || [];
+    this.triggers = (this.config.triggerIds || [])
+      .map(id => document.getElementById(id))
+      .filter(Boolean);
 
     // Get close button elements
-    this.closeButtons = this.config.closeIds
-      ?.map(id => document.getElementById(id))
-      .filter(Boolean) || [];
+    this.closeButtons = (this.config.closeIds || [])
+      .map(id => document.getElementById(id))
+      .filter(Boolean);
+
+    this.triggers.forEach(trigger => {
+      trigger.setAttribute('aria-controls', this.config.modalId);
+      trigger.setAttribute('aria-expanded', 'false');
+    });
+
+    this.events.on('open', () => this.config.onOpen());
+    this.events.on('close', () => this.config.onClose());
 
     // Attach event listeners
     this._attachListeners();
@@ -70,34 +161,42 @@ export class ModalController {
   _attachListeners() {
     // Trigger buttons
     this.triggers.forEach(trigger => {
-      trigger.addEventListener('click', () => this.toggle());
+      this.listeners.add(trigger, 'click', () => this.toggle());
     });
 
     // Close buttons
     this.closeButtons.forEach(btn => {
-      btn.addEventListener('click', () => this.close());
+      this.listeners.add(btn, 'click', () => this.close());
     });
 
-    // Navigation links auto-close
+    // Navigation links auto-close; delegated so links swapped in by the router are covered
     if (this.config.closeOnNavigation) {
-      const navLinks = this.modal.querySelectorAll('nav a');
-      navLinks.forEach(link => {
-        link.addEventListener('click', () => this.close(true));
+      this.listeners.add(this.modal, 'click', (e) => {
+        if (e.target.closest('nav a')) this.close(true);
       });
     }
 
-    // Escape key
-    if (this.config.closeOnEscape) {
-      document.addEventListener('keydown', (e) => {
-        if (e.key === 'Escape' && this.isOpen) {
-          this.close();
-        }
+    if (this.config.closeOnBackdrop) {
+      this.listeners.add(this.modal, 'click', (e) => {
+        if (e.target === this.modal) this.close();
       });
     }
 
+    // Only the top-most modal's scope is active, so these never reach a modal underneath
+    const keys = this.config.keybindings;
+    const options = { scope: this.scope, allowInInput: true };
+
+    if (this.config.closeOnEscape) {
+      this.unbinds.push(keys.bind('Escape', () => this.close(), options));
+    }
+
+    ['Tab', 'shift+Tab'].forEach(tab => {
+      this.unbinds.push(keys.bind(tab, (e) => this._trapFocus(e), { ...options, preventDefault: false }));
+    });
+
     // Resize handler
     if (this.config.closeOnResize) {
-      window.addEventListener('resize', () => {
+      this.listeners.add(window, 'resize', () => {
         if (window.innerWidth >= this.config.resizeBreakpoint && this.isOpen) {
           this.close();
         }
@@ -107,34 +206,37 @@ export class ModalController {
 
   /**
    * Open the modal
+   * @param {Object} [options]
+   * @param {HTMLElement} [options.returnFocus] - Element to focus on close (default: the active element)
    */
-  open() {
+  open({ returnFocus } = {}) {
     if (this.isOpen || !this.modal) return;
-    
+
     this.isOpen = true;
-    
+    this.returnFocus = returnFocus || document.activeElement;
+    this._clearTimers();
+    modalStack.push(this);
+    this.popScope = this.config.keybindings.pushScope(this.scope);
+
     // Show modal
     this.modal.style.display = 'flex';
-    
-    // Trigger reflow for animation
-    setTimeout(() => {
+    this.modal.setAttribute('aria-hidden', 'false');
+    this.modal.inert = false;
+
+    // Let the display change apply before starting the transition
+    this._later(() => {
       this.modal.classList.remove('opacity-0', 'invisible');
       this.modal.classList.add('opacity-100');
     }, 10);
-    
-    this.modal.setAttribute('aria-hidden', 'false');
-    
-    // Update triggers
-    this.triggers.forEach(trigger => {
-      trigger.innerHTML = '✕';
-      trigger.setAttribute('aria-expanded', 'true');
-    });
-    
+
+    this._setInertBackground();
+    this._updateTriggers(true);
+
     // Prevent body scroll
     document.body.style.overflow = 'hidden';
-    
-    // Callback
-    this.config.onOpen();
+
+    this._focusInitial();
+    this.events.emit('open', this);
   }
 
   /**
@@ -143,36 +245,41 @@ export class ModalController {
    */
   close(instant = false) {
     if (!this.isOpen || !this.modal) return;
-    
+
+    // Modals can close out of order (navigation, resize); only the top one hands focus back
+    const wasTop = modalStack.at(-1) === this;
     this.isOpen = false;
-    
-    if (instant) {
-      // Instant close for navigation
+    this._clearTimers();
+    modalStack.splice(modalStack.indexOf(this), 1);
+    this.popScope?.();
+    this.popScope = null;
+
+    const hide = () => {
       this.modal.style.display = 'none';
-      this.modal.classList.add('opacity-0', 'invisible');
-      this.modal.classList.remove('opacity-100');
-      document.body.style.overflow = '';
+      if (modalStack.length === 0) document.body.style.overflow = '';
+    };
+
+    this.modal.classList.remove('opacity-100');
+    this.modal.classList.add('opacity-0', 'invisible');
+
+    if (instant || this.config.motion.reduced) {
+      // Instant close for navigation and reduced motion
+      hide();
     } else {
-      // Animated close
-      this.modal.classList.remove('opacity-100');
-      this.modal.classList.add('opacity-0', 'invisible');
-      
-      setTimeout(() => {
-        this.modal.style.display = 'none';
-        document.body.style.overflow = '';
-      }, this.config.transitionDuration);
+      this._later(hide, this.config.transitionDuration);
     }
-    
+
     this.modal.setAttribute('aria-hidden', 'true');
-    
-    // Update triggers
-    this.triggers.forEach(trigger => {
-      trigger.innerHTML = '☰';
-      trigger.setAttribute('aria-expanded', 'false');
-    });
-    
-    // Callback
-    this.config.onClose();
+    this._restoreBackground();
+    modalStack.at(-1)?._setInertBackground();
+    this._updateTriggers(false);
+
+    if (wasTop && this.config.restoreFocus && this.returnFocus?.isConnected) {
+      this.returnFocus.focus({ preventScroll: true });
+    }
+    this.returnFocus = null;
+
+    this.events.emit('close', this);
   }
 
   /**
@@ -187,11 +294,134 @@ export class ModalController {
   }
 
   /**
-   * Destroy controller and remove event listeners
+   * Close instantly and remove every listener, timer and event handler
    */
   destroy() {
     this.close(true);
-    // Note: Would need to track listeners to properly remove them
-    // This is a simplified version
+    this._clearTimers();
+    this.listeners.clear();
+    this.unbinds.forEach(unbind => unbind());
+    this.unbinds = [];
+    this.events.emit('destroy', this);
+    this.events.clear();
+  }
+
+  /**
+   * Focusable elements inside the modal, in tab order
+   * @returns {HTMLElement[]}
+   */
+  getFocusable() {
+    return [...this.modal.querySelectorAll(FOCUSABLE)]
+      .filter(el => el.getClientRects().length > 0);
+  }
+
+  /**
+   * Keep Tab and Shift+Tab inside the modal
+   * @private
+   * @param {KeyboardEvent} e
+   */
+  _trapFocus(e) {
+    const focusable = this.getFocusable();
+    if (focusable.length === 0) {
+      e.preventDefault();
+      this.modal.focus();
+      return;
+    }
+
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+    const inside = this.modal.contains(document.activeElement);
+
+    if (e.shiftKey && (document.activeElement === first || !inside)) {
+      e.preventDefault();
+      last.focus();
+    } else if (!e.shiftKey && (document.activeElement === last || !inside)) {
+      e.preventDefault();
+      first.focus();
+    }
+  }
+
+  /**
+   * Move focus into the modal
+   * @private
+   */
+  _focusInitial() {
+    const { initialFocus } = this.config;
+    const target = typeof initialFocus === 'string'
+      ? this.modal.querySelector(initialFocus)
+      : initialFocus || this.getFocusable()[0];
+
+    if (target) {
+      target.focus({ preventScroll: true });
+    } else {
+      if (!this.modal.hasAttribute('tabindex')) this.modal.setAttribute('tabindex', '-1');
+      this.modal.focus({ preventScroll: true });
+    }
+  }
+
+  /**
+   * Make everything outside this modal inert, replacing the previous top modal's background
+   * Walks from the modal up to <body>, marking the siblings at each level, so
+   * the modal works wherever it sits in the page. Only elements that weren't
+   * already inert are recorded, so page-level inert is left alone.
+   * @private
+   */
+  _setInertBackground() {
+    this._restoreBackground();
+    this.modal.inert = false;
+
+    for (let node = this.modal; node && node !== document.body; node = node.parentElement) {
+      [...(node.parentElement?.children || [])].forEach(sibling => {
+        if (sibling === node || sibling.inert || sibling.tagName === 'SCRIPT') return;
+        sibling.inert = true;
+        inertBackground.push(sibling);
+      });
+    }
+  }
+
+  /**
+   * Undo _setInertBackground(), whichever modal set it
+   * @private
+   */
+  _restoreBackground() {
+    inertBackground.forEach(el => { el.inert = false; });
+    inertBackground = [];
+  }
+
+  /**
+   * Sync trigger state and labels
+   * @private
+   * @param {boolean} open
+   */
+  _updateTriggers(open) {
+    const state = open ? 'close' : 'open';
+    const { triggerLabels, triggerAriaLabels } = this.config;
+
+    this.triggers.forEach(trigger => {
+      trigger.setAttribute('aria-expanded', String(open));
+      if (triggerLabels) trigger.textContent = triggerLabels[state];
+      if (triggerAriaLabels) trigger.setAttribute('aria-label', triggerAriaLabels[state]);
+    });
+  }
+
+  /**
+   * setTimeout that destroy() and state changes can cancel
+   * @private
+   */
+  _later(fn, ms) {
+    const id = setTimeout(() => {
+      this.timers.delete(id);
+      fn();
+    }, ms);
+    this.timers.add(id);
+  }
+
+  /**
+   * Cancel pending timers
+   * @private
+   */
+  _clearTimers() {
+    this.timers.forEach(id => clearTimeout(id));
+    this.timers.clear();
   }
 }
@@ -0,0 +1,112 @@
+/**
+ * Reduced-motion preference shared by every animation controller
+ * Combines the live `prefers-reduced-motion` media query with a user
+ * override kept in localStorage, and mirrors the result onto
+ * `<html data-motion="reduce|full">` so CSS can follow the override too.
+ * @module motionPreference
+ */
+
+import { PersistedPreference } from './persistedPreference.js';
+
+export const MOTION_QUERY = '(prefers-reduced-motion: reduce)';
+export const MOTION_STORAGE_KEY = 'terminalMotion';
+
+/**
+ * Override values accepted by setOverride(); null follows the system setting
+ */
+export const MOTION_OVERRIDES = ['reduce', 'full'];
+
+/**
+ * Watches the system setting and user override and notifies subscribers
+ */
+export class MotionPreference extends PersistedPreference {
+  /**
+   * @param {Object} [config] - Configuration options
+   * @param {string} [config.storageKey='terminalMotion'] - localStorage key for the override
+   * @param {HTMLElement} [config.root=document.documentElement] - Element that receives `data-motion`
+   */
+  constructor(config = {}) {
+    super({
+      storageKey: MOTION_STORAGE_KEY,
+      dataKey: 'motion',
+      ...config
+    });
+
+    this.mediaQuery = typeof window !== 'undefined' && window.matchMedia
+      ? window.matchMedia(MOTION_QUERY)
+      : null;
+
+    this._onChange = () => this._notify();
+    this.mediaQuery?.addEventListener('change', this._onChange);
+
+    this._apply();
+  }
+
+  /**
+   * Whether the operating system asks for reduced motion
+   * @returns {boolean}
+   */
+  get systemReduced() {
+    return Boolean(this.mediaQuery?.matches);
+  }
+
+  /**
+   * User override, or null when following the system
+   * @returns {'reduce'|'full'|null}
+   */
+  get override() {
+    const value = this.stored;
+    return MOTION_OVERRIDES.includes(value) ? value : null;
+  }
+
+  /**
+   * Effective preference: the override if set, otherwise the system setting
+   * @returns {boolean} True when animations should be static or instant
+   */
+  get value() {
+    const override = this.override;
+    return override ? override === 'reduce' : this.systemReduced;
+  }
+
+  /**
+   * Effective preference
+   * @returns {boolean} True when animations should be static or instant
+   */
+  get reduced() {
+    return this.value;
+  }
+
+  /**
+   * Set or clear the user override
+   * @param {'reduce'|'full'|null} value - null follows the system again
+   */
+  setOverride(value) {
+    if (value !== null && !MOTION_OVERRIDES.includes(value)) {
+      throw new Error(`MotionPreference: unknown override "${value}"`);
+    }
+
+    this.store(value, true);
+  }
+
+  /**
+   * Stop watching the media query and storage
+   */
+  destroy() {
+    this.mediaQuery?.removeEventListener('change', this._onChange);
+    super.destroy();
+  }
+
+  /**
+   * @private
+   * @param {boolean} reduced
+   * @returns {string}
+   */
+  _attribute(reduced) {
+    return reduced ? 'reduce' : 'full';
+  }
+}
+
+/**
+ * Shared instance used by every controller on the page
+ */
+export const motionPreference = new MotionPreference();
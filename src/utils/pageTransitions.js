@@ -0,0 +1,180 @@
+/**
+ * CRT "channel change" transitions for client-side navigation
+ * A transition is a set of hooks run on the swapped content element:
+ * `start` and `end` bracket it, and `leave` / `enter` are tween updates
+ * receiving progress from 0 to 1 on either side of the swap. Every hook gets
+ * a context { content, random, state }, where state is scratch space for one
+ * navigation.
+ * @module pageTransitions
+ */
+
+import { getRandomGlitchPattern, applyGlitchPattern } from './glitchPatterns.js';
+import { resolveRandom } from './random.js';
+import { Timeline } from './timeline.js';
+
+const transitions = new Map();
+
+/**
+ * Add or replace a named transition
+ * @param {string} name - Name used in ROUTER_CONFIG.transition
+ * @param {Object} transition - { start?, leave?, enter?, end? }
+ */
+export function registerPageTransition(name, transition) {
+  transitions.set(name, transition);
+}
+
+/**
+ * Names of every registered transition
+ * @returns {string[]}
+ */
+export function getPageTransitionNames() {
+  return [...transitions.keys()];
+}
+
+registerPageTransition('none', {});
+
+// Burst of static over the screen while the content blinks out and back
+registerPageTransition('static', {
+  start({ state }) {
+    state.overlay = document.createElement('div');
+    state.overlay.className = 'router-static';
+    state.overlay.setAttribute('aria-hidden', 'true');
+    document.body.append(state.overlay);
+  },
+  leave(p, { content, random, state }) {
+    state.overlay.style.opacity = String(p);
+    state.overlay.style.backgroundPosition = `${random() * 100}% ${random() * 100}%`;
+    content.style.opacity = String(1 - p);
+  },
+  enter(p, { content, random, state }) {
+    state.overlay.style.opacity = String(1 - p);
+    state.overlay.style.backgroundPosition = `${random() * 100}% ${random() * 100}%`;
+    content.style.opacity = String(p);
+  },
+  end({ content, state }) {
+    state.overlay?.remove();
+    content.style.opacity = '';
+  }
+});
+
+// Picture rolls down out of the frame and the new one drops in from above
+registerPageTransition('vhold', {
+  start({ content, state }) {
+    state.frame = content.parentElement;
+    state.overflow = state.frame.style.overflow;
+    state.frame.style.overflow = 'hidden';
+  },
+  leave(p, { content }) {
+    content.style.transform = `translateY(${p * p * 60}vh)`;
+    content.style.opacity = String(1 - p);
+  },
+  enter(p, { content }) {
+    content.style.transform = `translateY(${-((1 - p) ** 2) * 60}vh)`;
+    content.style.opacity = String(p);
+  },
+  end({ content, state }) {
+    state.frame.style.overflow = state.overflow;
+    content.style.transform = '';
+    content.style.opacity = '';
+  }
+});
+
+// RGB-split skew using a glitch pattern, fresh on each side of the swap
+registerPageTransition('glitch', {
+  start({ content, random }) {
+    applyGlitchPattern(content, getRandomGlitchPattern({ random }));
+    content.classList.add('router-glitch');
+  },
+  leave(p, { content }) {
+    content.style.opacity = String(1 - p * 0.8);
+  },
+  enter(p, { content, random, state }) {
+    if (!state.repatterned) {
+      applyGlitchPattern(content, getRandomGlitchPattern({ random }));
+      state.repatterned = true;
+    }
+    content.style.opacity = String(0.2 + p * 0.8);
+  },
+  end({ content }) {
+    content.classList.remove('router-glitch');
+    content.style.opacity = '';
+  }
+});
+
+/**
+ * One navigation's transition, played in two halves around the swap
+ */
+export class PageTransition {
+  /**
+   * @param {string} name - Registered transition; unknown names fall back to 'none'
+   * @param {HTMLElement} content - Element being swapped
+   * @param {Object} [options]
+   * @param {number} [options.duration=0] - Total duration, split between leave and enter (ms)
+   * @param {number|string} [options.seed] - Seed for reproducible noise and glitch patterns
+   * @param {Function} [options.random] - Random source to use instead of a seed
+   * @param {Scheduler} [options.scheduler] - Scheduler to play on (default: shared instance)
+   */
+  constructor(name, content, options = {}) {
+    this.transition = transitions.get(name) || transitions.get('none');
+    this.context = { content, random: resolveRandom(options), state: {} };
+    this.half = (options.duration || 0) / 2;
+    this.scheduler = options.scheduler;
+    this.timeline = null;
+    this.started = false;
+    this.ended = false;
+  }
+
+  /**
+   * Play the first half
+   * @returns {Promise<boolean>} Resolves true when finished, false if cancelled
+   */
+  leave() {
+    return this._play((timeline) => timeline
+      .call(() => this._start())
+      .tween(this.half, (p) => this.transition.leave?.(p, this.context)));
+  }
+
+  /**
+   * Play the second half and clean up
+   * @returns {Promise<boolean>} Resolves true when finished, false if cancelled
+   */
+  enter() {
+    return this._play((timeline) => timeline
+      .call(() => this._start())
+      .tween(this.half, (p) => this.transition.enter?.(p, this.context))
+      .call(() => this._end()));
+  }
+
+  /**
+   * Stop wherever it is and restore the content element
+   */
+  cancel() {
+    this.timeline?.cancel();
+    this._end();
+  }
+
+  /**
+   * @private
+   * @param {Function} build - Adds steps to a fresh timeline
+   * @returns {Promise<boolean>}
+   */
+  _play(build) {
+    this.timeline?.cancel();
+    this.timeline = build(new Timeline({ scheduler: this.scheduler })).play();
+    return this.timeline.finished;
+  }
+
+  /** @private */
+  _start() {
+    if (this.started) return;
+    this.started = true;
+    this.transition.start?.(this.context);
+  }
+
+  /** @private */
+  _end() {
+    if (!this.started || this.ended) return;
+    this.ended = true;
+    this.transition.end?.(this.context);
+  }
+}
@@ -0,0 +1,132 @@
+/**
+ * Base class for user preferences kept in localStorage
+ * Handles storage access (with an in-memory fallback for private mode),
+ * sync between tabs, mirroring the value onto a `data-*` attribute of
+ * `<html>` and notifying subscribers. Subclasses supply the effective value.
+ * @module persistedPreference
+ */
+
+export class PersistedPreference {
+  /**
+   * @param {Object} config - Configuration options
+   * @param {string} config.storageKey - localStorage key
+   * @param {string} config.dataKey - Dataset property set on the root element
+   * @param {HTMLElement} [config.root=document.documentElement] - Element that receives the attribute
+   */
+  constructor(config) {
+    this.config = {
+      root: typeof document !== 'undefined' ? document.documentElement : null,
+      ...config
+    };
+
+    this.listeners = new Set();
+    this.lastValue = null;
+    this.memoryValue = null;
+
+    this._onStorage = (e) => {
+      if (e.key !== this.config.storageKey) return;
+      this.memoryValue = e.newValue;
+      this._notify();
+    };
+
+    if (typeof window !== 'undefined') {
+      window.addEventListener('storage', this._onStorage);
+    }
+  }
+
+  /**
+   * Effective value; subclasses override this
+   * @returns {*}
+   */
+  get value() {
+    return this.stored;
+  }
+
+  /**
+   * Raw stored string, or the in-memory choice when storage is unavailable
+   * @returns {string|null}
+   */
+  get stored() {
+    try {
+      return localStorage.getItem(this.config.storageKey) ?? this.memoryValue;
+    } catch {
+      return this.memoryValue;
+    }
+  }
+
+  /**
+   * Remember a raw value and notify if the effective value changed
+   * @param {string|null} value - null removes the stored value
+   * @param {boolean} [force=false] - Notify even if unchanged
+   */
+  store(value, force = false) {
+    this.memoryValue = value;
+
+    try {
+      if (value === null) {
+        localStorage.removeItem(this.config.storageKey);
+      } else {
+        localStorage.setItem(this.config.storageKey, value);
+      }
+    } catch {
+      // Storage unavailable (private mode); the choice lasts for this page only
+    }
+
+    this._notify(force);
+  }
+
+  /**
+   * Call a listener whenever the effective value changes
+   * @param {Function} listener - Called with (value)
+   * @returns {Function} Unsubscribe
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  /**
+   * Stop watching storage
+   */
+  destroy() {
+    if (typeof window !== 'undefined') {
+      window.removeEventListener('storage', this._onStorage);
+    }
+    this.listeners.clear();
+  }
+
+  /**
+   * Attribute value for an effective value; subclasses may override this
+   * @private
+   * @param {*} value
+   * @returns {string}
+   */
+  _attribute(value) {
+    return String(value);
+  }
+
+  /**
+   * Mirror the effective value onto the root element
+   * @private
+   */
+  _apply() {
+    this.lastValue = this.value;
+    if (this.config.root) {
+      this.config.root.dataset[this.config.dataKey] = this._attribute(this.lastValue);
+    }
+  }
+
+  /**
+   * Re-apply and notify listeners if the effective value changed
+   * @private
+   * @param {boolean} [force=false] - Notify even if unchanged
+   */
+  _notify(force = false) {
+    const previous = this.lastValue;
+    this._apply();
+
+    if (force || previous !== this.lastValue) {
+      this.listeners.forEach(listener => listener(this.lastValue));
+    }
+  }
+}
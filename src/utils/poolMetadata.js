@@ -0,0 +1,223 @@
+/**
+ * Stake pool metadata files, generated from config/pool.js at build time
+ * The main file is checked against the CIP-6 schema and the on-chain limits
+ * (the ledger only accepts metadata up to 512 bytes), and its Blake2b-256
+ * hash is what goes into the pool registration certificate. Invalid metadata
+ * throws, which fails the build instead of publishing a file the chain rejects.
+ * @module poolMetadata
+ */
+
+import { POOL_METADATA, POOL_EXTENDED_METADATA } from '../config/pool.js';
+import { blake2bHex } from './blake2b.js';
+
+/**
+ * Served file names, relative to the site root
+ */
+export const POOL_METADATA_FILES = {
+  metadata: 'poolMetadata.json',
+  extended: 'poolMetadata_extended.json',
+  hash: 'poolMetadata.hash'
+};
+
+/**
+ * CIP-6 limits for the main metadata file
+ */
+export const POOL_METADATA_LIMITS = {
+  name: 50,
+  description: 255,
+  homepage: 64,
+  extended: 64,
+  bytes: 512
+};
+
+const REQUIRED_FIELDS = ['name', 'description', 'ticker', 'homepage'];
+const OPTIONAL_FIELDS = ['extended'];
+const TICKER_PATTERN = /^[A-Z0-9]{3,5}$/;
+const EXTENDED_URL_FIELDS = ['url_png_icon_64x64', 'url_png_logo'];
+
+/**
+ * URL shorteners, rejected because their targets can change after the pool is registered
+ */
+export const SHORTENER_HOSTS = [
+  'bit.ly',
+  'buff.ly',
+  'cutt.ly',
+  'goo.gl',
+  'is.gd',
+  'ow.ly',
+  'rb.gy',
+  'rebrand.ly',
+  'shorturl.at',
+  't.co',
+  't.ly',
+  'tiny.cc',
+  'tinyurl.com'
+];
+
+/**
+ * Length in characters, counting astral symbols (emoji) once
+ * @param {string} value
+ * @returns {number}
+ */
+function charLength(value) {
+  return [...value].length;
+}
+
+/**
+ * Whether a value is an absolute http(s) URL
+ * @param {string} value
+ * @returns {boolean}
+ */
+function isHttpUrl(value) {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Whether a URL points at a known shortener (or a subdomain of one)
+ * @param {string} value
+ * @returns {boolean}
+ */
+function isShortenedUrl(value) {
+  try {
+    const host = new URL(value).hostname.toLowerCase();
+    return SHORTENER_HOSTS.some(shortener => host === shortener || host.endsWith(`.${shortener}`));
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Serialize metadata exactly as it is served (and hashed)
+ * @param {Object} metadata
+ * @returns {string}
+ */
+function toJson(metadata) {
+  return `${JSON.stringify(metadata, null, 2)}\n`;
+}
+
+/**
+ * Check pool metadata against CIP-6
+ * @param {import('../config/pool.js').PoolMetadata} metadata
+ * @returns {string[]} Violations; empty when valid
+ */
+export function validatePoolMetadata(metadata) {
+  const errors = [];
+
+  REQUIRED_FIELDS.forEach(field => {
+    if (typeof metadata[field] !== 'string' || metadata[field] === '') {
+      errors.push(`${field} is required`);
+    }
+  });
+
+  if (metadata.extended !== undefined && typeof metadata.extended !== 'string') {
+    errors.push('extended must be a string');
+  }
+
+  Object.keys(metadata)
+    .filter(field => !REQUIRED_FIELDS.includes(field) && !OPTIONAL_FIELDS.includes(field))
+    .forEach(field => errors.push(`${field} is not a CIP-6 field`));
+
+  // Lengths and formats only make sense once every field is a string
+  if (errors.length > 0 && REQUIRED_FIELDS.some(field => typeof metadata[field] !== 'string')) {
+    return errors;
+  }
+
+  ['name', 'description', 'homepage', 'extended'].forEach(field => {
+    const value = metadata[field];
+    if (typeof value === 'string' && charLength(value) > POOL_METADATA_LIMITS[field]) {
+      errors.push(`${field} is ${charLength(value)} characters (max ${POOL_METADATA_LIMITS[field]})`);
+    }
+  });
+
+  if (!TICKER_PATTERN.test(metadata.ticker)) {
+    errors.push(`ticker "${metadata.ticker}" must be 3-5 uppercase letters or digits`);
+  }
+
+  ['homepage', 'extended'].forEach(field => {
+    if (typeof metadata[field] === 'string' && !isHttpUrl(metadata[field])) {
+      errors.push(`${field} "${metadata[field]}" is not an http(s) URL`);
+    } else if (typeof metadata[field] === 'string' && isShortenedUrl(metadata[field])) {
+      errors.push(`${field} "${metadata[field]}" uses a URL shortener; link the target directly`);
+    }
+  });
+
+  const bytes = new TextEncoder().encode(toJson(metadata)).length;
+  if (bytes > POOL_METADATA_LIMITS.bytes) {
+    errors.push(`file is ${bytes} bytes (max ${POOL_METADATA_LIMITS.bytes})`);
+  }
+
+  return errors;
+}
+
+/**
+ * Check the extended metadata (adapools format) for the fields explorers read
+ * @param {import('../config/pool.js').PoolExtendedMetadata} extended
+ * @returns {string[]} Violations; empty when valid
+ */
+export function validateExtendedMetadata(extended) {
+  const errors = [];
+
+  if (typeof extended.verification !== 'string' || extended.verification === '') {
+    errors.push('verification is required');
+  }
+
+  if (typeof extended.info !== 'object' || extended.info === null) {
+    errors.push('info is required');
+    return errors;
+  }
+
+  EXTENDED_URL_FIELDS.forEach(field => {
+    const value = extended.info[field];
+    if (value !== undefined && !isHttpUrl(value)) {
+      errors.push(`info.${field} "${value}" is not an http(s) URL`);
+    } else if (value !== undefined && isShortenedUrl(value)) {
+      errors.push(`info.${field} "${value}" uses a URL shortener; link the target directly`);
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Throw one error listing every violation in a file
+ * @param {string} file - File name for the message
+ * @param {string[]} errors
+ */
+function assertValid(file, errors) {
+  if (errors.length > 0) {
+    throw new Error(`poolMetadata: invalid ${file}\n${errors.map(error => `  - ${error}`).join('\n')}`);
+  }
+}
+
+/**
+ * Render the main metadata file
+ * @param {import('../config/pool.js').PoolMetadata} [metadata=POOL_METADATA]
+ * @returns {string} JSON, byte for byte as served
+ */
+export function renderPoolMetadata(metadata = POOL_METADATA) {
+  assertValid(POOL_METADATA_FILES.metadata, validatePoolMetadata(metadata));
+  return toJson(metadata);
+}
+
+/**
+ * Render the extended metadata file
+ * @param {import('../config/pool.js').PoolExtendedMetadata} [extended=POOL_EXTENDED_METADATA]
+ * @returns {string}
+ */
+export function renderExtendedMetadata(extended = POOL_EXTENDED_METADATA) {
+  assertValid(POOL_METADATA_FILES.extended, validateExtendedMetadata(extended));
+  return toJson(extended);
+}
+
+/**
+ * Blake2b-256 hash of the rendered main file, as cardano-cli prints it
+ * @param {import('../config/pool.js').PoolMetadata} [metadata=POOL_METADATA]
+ * @returns {string} 64 hex characters
+ */
+export function poolMetadataHash(metadata = POOL_METADATA) {
+  return blake2bHex(renderPoolMetadata(metadata));
+}
@@ -0,0 +1,111 @@
+/**
+ * Stake pool stats for /pool, read from an optional local snapshot
+ * Drop a `src/data/poolStats.json` (format: src/data/poolStats.example.json,
+ * amounts in lovelace) to show live-ish numbers; without it the page shows
+ * only the metadata. Nothing here talks to the chain.
+ * @module poolStats
+ */
+
+/**
+ * @typedef {Object} PoolEpochStats
+ * @property {number} epoch - Epoch number
+ * @property {number} blocks - Blocks minted in the epoch
+ * @property {number|string} [activeStake] - Active stake in lovelace
+ * @property {number} [delegators] - Delegator count
+ */
+
+/**
+ * @typedef {Object} PoolSnapshot
+ * @property {string} [poolId] - Bech32 pool id; must match POOL_ID in config/pool.js when both are set
+ * @property {string} [updatedAt] - When the snapshot was taken (ISO 8601)
+ * @property {number|string} pledge - Pledge in lovelace
+ * @property {number} margin - Variable fee, 0-1
+ * @property {number|string} [fixedCost] - Fixed fee in lovelace
+ * @property {number|string} [liveStake] - Live stake in lovelace
+ * @property {number} saturation - Live stake relative to the saturation point, in percent
+ * @property {number} [delegators] - Live delegator count
+ * @property {PoolEpochStats[]} [epochs] - Per-epoch history
+ */
+
+import { POOL_ID } from '../config/pool.js';
+
+// Missing file -> empty object, so the snapshot stays optional
+const snapshots = import.meta.glob('../data/poolStats.json', { eager: true, import: 'default' });
+
+const LOVELACE_PER_ADA = 1_000_000;
+
+/**
+ * Saturation levels, highest first: at or past 100% rewards are capped
+ * `color` is a ProgressBar color, `text` a Tailwind text class.
+ */
+export const SATURATION_LEVELS = [
+  { min: 100, color: 'red', text: 'text-red-400', label: 'OVERSATURATED' },
+  { min: 90, color: 'amber', text: 'text-phosphor-500', label: 'NEAR SATURATION' },
+  { min: 0, color: 'green', text: 'text-green-400', label: 'OPEN' }
+];
+
+/**
+ * Saturation level for a percentage
+ * @param {number} saturation - Percent
+ * @returns {{min: number, color: string, text: string, label: string}}
+ */
+export function saturationLevel(saturation) {
+  return SATURATION_LEVELS.find(level => saturation >= level.min) || SATURATION_LEVELS.at(-1);
+}
+
+/**
+ * Lovelace as a short ADA amount, e.g. 1234567890000 -> "1.23M ₳"
+ * @param {number|string} lovelace
+ * @returns {string}
+ */
+export function formatAda(lovelace) {
+  const ada = Number(lovelace) / LOVELACE_PER_ADA;
+  if (!Number.isFinite(ada)) return '--';
+
+  if (ada >= 1e6) return `${(ada / 1e6).toFixed(2)}M ₳`;
+  if (ada >= 1e3) return `${(ada / 1e3).toFixed(1)}K ₳`;
+  return `${ada.toLocaleString('en-US', { maximumFractionDigits: 2 })} ₳`;
+}
+
+/**
+ * Percentage with up to two decimals, e.g. 0.015 -> "1.5%"
+ * @param {number} fraction - 0-1
+ * @returns {string}
+ */
+export function formatMargin(fraction) {
+  return `${Number((fraction * 100).toFixed(2))}%`;
+}
+
+/**
+ * Check a raw snapshot and keep its newest epochs, newest first
+ * @param {Object} snapshot - Parsed poolStats.json
+ * @param {number} [epochLimit=10] - Epochs of history to keep
+ * @returns {PoolSnapshot}
+ */
+export function normalizePoolSnapshot(snapshot, epochLimit = 10) {
+  if (typeof snapshot.saturation !== 'number') {
+    throw new Error('poolStats: src/data/poolStats.json needs at least saturation');
+  }
+
+  // Catch a snapshot copied over from another pool
+  if (snapshot.poolId && POOL_ID && snapshot.poolId !== POOL_ID) {
+    throw new Error(`poolStats: snapshot is for ${snapshot.poolId}, not POOL_ID ${POOL_ID}`);
+  }
+
+  return {
+    ...snapshot,
+    epochs: [...(snapshot.epochs || [])]
+      .sort((a, b) => b.epoch - a.epoch)
+      .slice(0, epochLimit)
+  };
+}
+
+/**
+ * Load the snapshot, newest epoch first
+ * @param {number} [epochLimit=10] - Epochs of history to keep
+ * @returns {PoolSnapshot|null} Null when there is no snapshot file
+ */
+export function getPoolSnapshot(epochLimit = 10) {
+  const snapshot = Object.values(snapshots)[0];
+  return snapshot ? normalizePoolSnapshot(snapshot, epochLimit) : null;
+}
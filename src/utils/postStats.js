@@ -0,0 +1,123 @@
+/**
+ * Post statistics from raw markdown: prose words, code lines, structure counts
+ * and a reading-time estimate that reads code slower than prose
+ * @module postStats
+ */
+
+/**
+ * Reading rates used by the estimate
+ */
+export const READING_RATES = {
+  wordsPerMinute: 200,
+  codeLinesPerMinute: 20
+};
+
+const FENCE = /^ {0,3}(`{3,}|~{3,})[^\n]*\n([\s\S]*?)(?:^ {0,3}\1[`~]*[ \t]*$|(?![\s\S]))/gm;
+const FRONTMATTER = /^---\r?\n[\s\S]*?\r?\n---(?:\r?\n|$)/;
+const HTML_COMMENT = /<!--[\s\S]*?-->/g;
+const IMAGE = /!\[([^\]]*)\]\((?:[^()\s]|\([^()]*\))*(?:\s+"[^"]*")?\)|!\[([^\]]*)\]\[[^\]]*\]/g;
+const HTML_IMAGE = /<img\b[^>]*>/gi;
+const LINK = /\[([^\]]+)\]\((?:[^()\s]|\([^()]*\))*(?:\s+"[^"]*")?\)|\[([^\]]+)\]\[[^\]]*\]/g;
+const HTML_LINK = /<a\b[^>]*\bhref=/gi;
+const AUTOLINK = /<(?:https?|mailto):[^>\s]+>/g;
+const BARE_URL = /\bhttps?:\/\/[^\s)>\]]+/g;
+const LINK_DEFINITION = /^ {0,3}\[[^\]]+\]:\s+\S+.*$/gm;
+const HEADING = /^ {0,3}#{1,6}(?:[ \t]+|$)/gm;
+const WORD = /[\p{L}\p{N}][\p{L}\p{N}'’_-]*/gu;
+
+/**
+ * Count matches of a global regex
+ * @param {string} text
+ * @param {RegExp} pattern - Must have the g flag
+ * @returns {number}
+ */
+function countMatches(text, pattern) {
+  return (text.match(pattern) || []).length;
+}
+
+/**
+ * Pull fenced code blocks out of markdown
+ * @param {string} markdown
+ * @returns {{prose: string, blocks: string[]}} Markdown without fences, and each block's body
+ */
+function extractCodeBlocks(markdown) {
+  const blocks = [];
+  const prose = markdown.replace(FENCE, (_, fence, body) => {
+    blocks.push(body);
+    return '\n';
+  });
+
+  return { prose, blocks };
+}
+
+/**
+ * Estimated reading time in minutes, never less than one
+ * @param {number} words - Prose words
+ * @param {number} [codeLines=0] - Non-blank code lines
+ * @param {Object} [rates=READING_RATES]
+ * @returns {number} Whole minutes
+ */
+export function readingTime(words, codeLines = 0, rates = READING_RATES) {
+  const minutes = words / rates.wordsPerMinute + codeLines / rates.codeLinesPerMinute;
+  return Math.max(1, Math.ceil(minutes));
+}
+
+/**
+ * Analyse a post's raw markdown
+ * Code fences are counted as code lines, not words. URLs, link targets,
+ * HTML tags and comments don't count as words; link and image text does.
+ * @param {string} [markdown=''] - Raw markdown body (frontmatter is ignored if present)
+ * @returns {{words: number, codeLines: number, codeBlocks: number, headings: number, links: number, images: number, readingTime: number}}
+ */
+export function getPostStats(markdown = '') {
+  const source = markdown.replace(/\r\n?/g, '\n').replace(FRONTMATTER, '').replace(HTML_COMMENT, '');
+  const { prose, blocks } = extractCodeBlocks(source);
+
+  const codeLines = blocks.reduce(
+    (total, block) => total + block.split('\n').filter(line => line.trim()).length,
+    0
+  );
+
+  const images = countMatches(prose, IMAGE) + countMatches(prose, HTML_IMAGE);
+  const withoutImages = prose.replace(IMAGE, ' $1$2 ').replace(HTML_IMAGE, ' ');
+
+  const withoutLinks = withoutImages
+    .replace(LINK_DEFINITION, ' ')
+    .replace(LINK, ' $1$2 ')
+    .replace(AUTOLINK, ' ');
+
+  const links = countMatches(withoutImages, LINK)
+    + countMatches(withoutImages, HTML_LINK)
+    + countMatches(withoutImages, AUTOLINK)
+    + countMatches(withoutLinks, BARE_URL);
+
+  const text = withoutLinks
+    .replace(BARE_URL, ' ')
+    .replace(/<\/?[a-zA-Z][^>]*>/g, ' ');
+
+  const words = countMatches(text, WORD);
+
+  return {
+    words,
+    codeLines,
+    codeBlocks: blocks.length,
+    headings: countMatches(prose, HEADING),
+    links,
+    images,
+    readingTime: readingTime(words, codeLines)
+  };
+}
+
+/**
+ * Totals across several posts
+ * @param {Array<Object>} stats - Results of getPostStats()
+ * @returns {{words: number, codeLines: number, readingTime: number, posts: number}}
+ */
+export function getArchiveStats(stats) {
+  return {
+    posts: stats.length,
+    words: stats.reduce((total, s) => total + s.words, 0),
+    codeLines: stats.reduce((total, s) => total + s.codeLines, 0),
+    readingTime: stats.reduce((total, s) => total + s.readingTime, 0)
+  };
+}
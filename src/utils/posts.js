@@ -0,0 +1,81 @@
+/**
+ * Blog collection helpers: draft filtering, series navigation and related posts
+ * @module posts
+ */
+
+import { getCollection } from 'astro:content';
+import { tagSlug } from './tags.js';
+
+/**
+ * Load blog posts, newest first
+ * Drafts are included in `astro dev` and left out of production builds.
+ * @param {Object} [options]
+ * @param {boolean} [options.includeDrafts] - Override the dev/production default
+ * @returns {Promise<Array>} Blog collection entries
+ */
+export async function getPosts({ includeDrafts = import.meta.env.DEV } = {}) {
+  const posts = await getCollection('blog', (post) => includeDrafts || !post.data.draft);
+  return posts.sort((a, b) => b.data.pubDate.valueOf() - a.data.pubDate.valueOf());
+}
+
+/**
+ * Publication status label and color for a post
+ * @param {Object} post - Blog collection entry
+ * @returns {{label: string, color: string}}
+ */
+export function postStatus(post) {
+  if (post.data.draft) return { label: 'DRAFT', color: 'text-phosphor-400' };
+  if (post.data.updatedDate) return { label: 'UPDATED', color: 'text-cyan-400' };
+  return { label: 'PUBLISHED', color: 'text-green-400' };
+}
+
+/**
+ * Position of a post within its series, with neighbours
+ * @param {Object} post - Blog collection entry
+ * @param {Array} posts - All posts to search for siblings
+ * @returns {{name: string, index: number, total: number, parts: Array, prev: Object|null, next: Object|null}|null}
+ *   Null when the post is not part of a series
+ */
+export function getSeries(post, posts) {
+  const series = post.data.series;
+  if (!series) return null;
+
+  const parts = posts
+    .filter(p => p.data.series?.name === series.name)
+    .sort((a, b) => a.data.series.order - b.data.series.order);
+  const index = parts.findIndex(p => p.slug === post.slug);
+
+  return {
+    name: series.name,
+    index,
+    total: parts.length,
+    parts,
+    prev: parts[index - 1] || null,
+    next: parts[index + 1] || null
+  };
+}
+
+/**
+ * Posts sharing the most tags with a post
+ * Ties go to the more recent post; posts with no shared tags are skipped.
+ * @param {Object} post - Blog collection entry
+ * @param {Array} posts - Candidate posts
+ * @param {number} [limit=3] - Maximum number of results
+ * @returns {Array<{post: Object, shared: string[]}>} Ranked by overlap
+ */
+export function getRelatedPosts(post, posts, limit = 3) {
+  const tags = new Set((post.data.tags || []).map(tagSlug));
+
+  return posts
+    .filter(p => p.slug !== post.slug)
+    .map(p => ({
+      post: p,
+      shared: (p.data.tags || []).filter(tag => tags.has(tagSlug(tag)))
+    }))
+    .filter(({ shared }) => shared.length > 0)
+    .sort((a, b) =>
+      b.shared.length - a.shared.length ||
+      b.post.data.pubDate.valueOf() - a.post.data.pubDate.valueOf()
+    )
+    .slice(0, limit);
+}
@@ -0,0 +1,41 @@
+/**
+ * Project collection helpers shared by the home, projects and detail pages
+ * @module projects
+ */
+
+import { getCollection } from 'astro:content';
+
+/**
+ * Text color for each project status in the collection schema
+ */
+export const PROJECT_STATUS_COLORS = {
+  ACTIVE: 'text-green-400',
+  PLANNED: 'text-blue-400',
+  ARCHIVED: 'text-white/40'
+};
+
+/**
+ * Get the color class for a project status
+ * @param {string} status - Status from the schema enum
+ * @returns {string} Tailwind text color class
+ */
+export function projectStatusColor(status) {
+  return PROJECT_STATUS_COLORS[status] || 'text-phosphor-500';
+}
+
+/**
+ * Zero-padded process id, e.g. 1 -> "001"
+ * @param {number} pid - Project pid
+ * @returns {string}
+ */
+export function formatPid(pid) {
+  return String(pid).padStart(3, '0');
+}
+
+/**
+ * Load all projects ordered by pid
+ * @returns {Promise<Array>} Project collection entries
+ */
+export async function getProjects() {
+  return (await getCollection('projects')).sort((a, b) => a.data.pid - b.data.pid);
+}
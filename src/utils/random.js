@@ -0,0 +1,49 @@
+/**
+ * Seedable pseudo-random numbers for reproducible effects
+ * @module random
+ */
+
+/**
+ * Hash a string seed to a 32-bit integer (FNV-1a)
+ * @param {string} text
+ * @returns {number} Unsigned 32-bit hash
+ */
+export function hashSeed(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Create a deterministic generator with the same contract as Math.random
+ * Uses mulberry32: small, fast and good enough for visual effects.
+ * @param {number|string} seed - Same seed, same sequence
+ * @returns {() => number} Generator returning floats in [0, 1)
+ */
+export function createSeededRandom(seed) {
+  let state = (typeof seed === 'string' ? hashSeed(seed) : Math.floor(Number(seed))) >>> 0;
+
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Resolve a random source from options
+ * @param {Object} [options]
+ * @param {() => number} [options.random] - Explicit generator, wins over seed
+ * @param {number|string} [options.seed] - Seed for a new deterministic generator
+ * @returns {() => number} Math.random when neither is given
+ */
+export function resolveRandom({ random, seed } = {}) {
+  if (random) return random;
+  if (seed !== undefined && seed !== null) return createSeededRandom(seed);
+  return Math.random;
+}
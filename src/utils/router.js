@@ -0,0 +1,449 @@
+/**
+ * Client-side router
+ * Internal links fetch the next page and swap only the elements marked
+ * `data-router-region="<name>"` (page content, section label, nav), so the
+ * header glitch, clock and CRT overlays keep running. Page scripts re-run
+ * through onPageLoad(); scripts the new page needs that were never loaded
+ * are added once. Anything unexpected falls back to a normal page load.
+ * @module router
+ */
+
+import { ROUTER_CONFIG } from '../config/router.js';
+import { Emitter } from './emitter.js';
+import { ListenerBag } from './listeners.js';
+import { motionPreference } from './motionPreference.js';
+import { PageTransition } from './pageTransitions.js';
+
+// Region the transition animates and focus moves to
+const CONTENT_REGION = 'content';
+
+const pageHooks = new Set();
+let softNavigated = false;
+
+/**
+ * Run page setup now and again after every client-side navigation
+ * Use it for scripts that wire up elements inside a swapped region. A module
+ * script only runs once, so its setup then runs on every later page: look
+ * for the elements first, and keep setup shared by several pages in one
+ * component script rather than copying it into each page.
+ * @param {Function} setup - Called with no arguments; may return a cleanup
+ *   function, which runs before the page it set up is swapped out
+ * @returns {Function} Stop running setup (also runs the pending cleanup)
+ */
+export function onPageLoad(setup) {
+  const hook = { setup, cleanup: setup() };
+  pageHooks.add(hook);
+
+  return () => {
+    pageHooks.delete(hook);
+    if (typeof hook.cleanup === 'function') hook.cleanup();
+  };
+}
+
+/**
+ * Whether this document has shown a page through the router
+ * The Navigation Timing entry keeps describing the original load, so code
+ * that asks "was this a reload?" must check this first.
+ * @returns {boolean}
+ */
+export function isSoftNavigation() {
+  return softNavigated;
+}
+
+/**
+ * Key for a URL's page, ignoring the query string and hash
+ * The site is static, so the query never changes what the server sends; pages
+ * use it for view state (e.g. table sort and filter) and rewrite it with
+ * history.replaceState, which must not make the router think the page changed.
+ * @param {URL|Location} url
+ * @returns {string}
+ */
+function pageKey(url) {
+  return url.pathname.replace(/\/$/, '') || '/';
+}
+
+/**
+ * Whether a URL is a page of this site the router can fetch
+ * Other origins and non-http schemes (mailto:, tel:) are left to the browser.
+ * @param {URL} url
+ * @returns {boolean}
+ */
+function isInternal(url) {
+  return url.origin === window.location.origin && ['http:', 'https:'].includes(url.protocol);
+}
+
+/**
+ * Intercepts internal links and swaps page regions
+ */
+export class Router {
+  /**
+   * @param {Object} [config] - Configuration options (defaults from config/router.js)
+   * @param {boolean} [config.enabled] - Handle links at all
+   * @param {string} [config.transition] - Transition name (utils/pageTransitions.js)
+   * @param {number} [config.duration] - Transition duration in ms
+   * @param {boolean} [config.prefetch] - Fetch pages on hover and focus
+   * @param {number} [config.prefetchDelay] - Hover time before prefetching in ms
+   * @param {number} [config.cacheSize] - Pages kept in memory
+   * @param {MotionPreference} [config.motion] - Motion preference; reduced motion skips the transition
+   */
+  constructor(config = {}) {
+    this.config = {
+      ...ROUTER_CONFIG,
+      motion: motionPreference,
+      ...config
+    };
+
+    this.started = false;
+    this.cache = new Map();
+    this.listeners = new ListenerBag();
+    this.events = new Emitter();
+    this.executed = new Set();
+    this.current = null;
+    this.transition = null;
+    this.hoverTimer = null;
+    this.scrollTimer = null;
+    this.page = null;
+  }
+
+  /**
+   * Start handling navigation
+   * @returns {boolean} False when disabled or unsupported
+   */
+  init() {
+    if (this.started || !this.config.enabled || !window.history?.pushState) return false;
+
+    this.started = true;
+    this.page = pageKey(window.location);
+    document.querySelectorAll('script').forEach(script => this.executed.add(this._scriptKey(script)));
+
+    history.scrollRestoration = 'manual';
+    this._saveState();
+
+    this.listeners.add(document, 'click', (e) => {
+      const link = e.target.closest?.('a[href]');
+      if (!link || !this._handles(link, e)) return;
+
+      e.preventDefault();
+      this.navigate(link.href);
+    });
+
+    this.listeners.add(window, 'popstate', (e) => {
+      // Hash-only entries on the same page belong to the browser
+      if (!e.state?.router && pageKey(window.location) === this.page) return;
+      this.navigate(window.location.href, { history: 'none', scroll: e.state?.scroll ?? 0 });
+    });
+
+    this.listeners.add(window, 'scroll', () => {
+      clearTimeout(this.scrollTimer);
+      this.scrollTimer = setTimeout(() => this._saveState(), 100);
+    });
+
+    if (this.config.prefetch && !navigator.connection?.saveData) {
+      const schedule = (e) => {
+        const link = e.target.closest?.('a[href]');
+        if (!link || !this._handles(link)) return;
+
+        clearTimeout(this.hoverTimer);
+        this.hoverTimer = setTimeout(() => this.prefetch(link.href), this.config.prefetchDelay);
+      };
+
+      this.listeners.add(document, 'mouseover', schedule);
+      this.listeners.add(document, 'focusin', schedule);
+      this.listeners.add(document, 'mouseout', () => clearTimeout(this.hoverTimer));
+    }
+
+    return true;
+  }
+
+  /**
+   * Listen for 'before-swap' and 'after-swap'
+   * Handlers receive { url, document } with the parsed next page.
+   * @param {string} event - Event name
+   * @param {Function} handler
+   * @returns {Function} Unsubscribe
+   */
+  on(event, handler) {
+    return this.events.on(event, handler);
+  }
+
+  /**
+   * Fetch a page into the cache
+   * @param {string} href - Page URL
+   * @returns {Promise<string>} Page HTML
+   */
+  prefetch(href) {
+    const url = new URL(href, window.location.href);
+    const key = pageKey(url);
+
+    if (!this.cache.has(key)) {
+      const request = fetch(url.href, { headers: { Accept: 'text/html' } }).then(response => {
+        const type = response.headers.get('Content-Type') || '';
+        if (!response.ok || !type.includes('text/html')) {
+          throw new Error(`Router: ${url.pathname} returned ${response.status}`);
+        }
+        return response.text();
+      });
+
+      // Failed requests are retried on the next attempt
+      request.catch(() => this.cache.delete(key));
+      this.cache.set(key, request);
+
+      while (this.cache.size > this.config.cacheSize) {
+        this.cache.delete(this.cache.keys().next().value);
+      }
+    }
+
+    return this.cache.get(key);
+  }
+
+  /**
+   * Show a page
+   * Falls back to a full load when the page can't be fetched or lacks the content region.
+   * @param {string} href - Page URL
+   * @param {Object} [options]
+   * @param {'push'|'replace'|'none'} [options.history='push'] - How to record the navigation
+   * @param {number} [options.scroll] - Scroll position to restore (default: top, or the URL's hash)
+   * @returns {Promise<void>}
+   */
+  async navigate(href, { history: mode = 'push', scroll } = {}) {
+    const url = new URL(href, window.location.href);
+    const content = this._region(document, CONTENT_REGION);
+
+    if (!this.started || !content || !isInternal(url)) {
+      window.location.assign(url.href);
+      return;
+    }
+
+    // Following a link to the page being shown doesn't add a history entry
+    if (mode === 'push' && pageKey(url) === this.page) mode = 'replace';
+
+    const token = {};
+    this.current = token;
+    this.transition?.cancel();
+
+    const transition = new PageTransition(
+      this.config.motion.reduced ? 'none' : this.config.transition,
+      content,
+      { duration: this.config.duration }
+    );
+    this.transition = transition;
+
+    let html;
+    try {
+      [html] = await Promise.all([this.prefetch(url.href), transition.leave()]);
+    } catch {
+      if (this.current === token) {
+        transition.cancel();
+        window.location.assign(url.href);
+      }
+      return;
+    }
+
+    // A newer navigation took over while this one was loading
+    if (this.current !== token) return;
+
+    const next = new DOMParser().parseFromString(html, 'text/html');
+    if (!this._region(next, CONTENT_REGION)) {
+      transition.cancel();
+      window.location.assign(url.href);
+      return;
+    }
+
+    if (mode === 'push') {
+      this._saveState();
+      history.pushState({ router: true, scroll: 0 }, '', url.href);
+    } else if (mode === 'replace') {
+      history.replaceState({ router: true, scroll: 0 }, '', url.href);
+    }
+
+    this.events.emit('before-swap', { url, document: next });
+    pageHooks.forEach(hook => {
+      if (typeof hook.cleanup === 'function') hook.cleanup();
+      hook.cleanup = null;
+    });
+
+    this._swap(next);
+    this.page = pageKey(url);
+    softNavigated = true;
+
+    this._restoreScroll(url, scroll);
+    content.setAttribute('tabindex', '-1');
+    content.focus({ preventScroll: true });
+
+    pageHooks.forEach(hook => { hook.cleanup = hook.setup(); });
+    this._runScripts(next);
+    this.events.emit('after-swap', { url, document: next });
+
+    await transition.enter();
+  }
+
+  /**
+   * Stop handling navigation; links load normally again
+   */
+  destroy() {
+    this.listeners.clear();
+    this.transition?.cancel();
+    clearTimeout(this.hoverTimer);
+    clearTimeout(this.scrollTimer);
+    this.cache.clear();
+    this.events.clear();
+    this.started = false;
+  }
+
+  /**
+   * Whether a link should be handled by the router
+   * @private
+   * @param {HTMLAnchorElement} link
+   * @param {MouseEvent} [e] - Click being handled
+   * @returns {boolean}
+   */
+  _handles(link, e) {
+    if (e && (e.defaultPrevented || e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey)) {
+      return false;
+    }
+
+    if ((link.target && link.target !== '_self') || link.hasAttribute('download')) return false;
+    if (link.closest('[data-router="off"]')) return false;
+
+    const url = new URL(link.href, window.location.href);
+    if (!isInternal(url)) return false;
+
+    // Feeds, the search index and other files
+    if (/\.(?!html?$)[a-z0-9]+$/i.test(url.pathname)) return false;
+
+    // In-page anchors scroll natively
+    return !(url.hash && pageKey(url) === this.page);
+  }
+
+  /**
+   * Find a region by name
+   * @private
+   * @param {Document} doc
+   * @param {string} name
+   * @returns {HTMLElement|null}
+   */
+  _region(doc, name) {
+    return doc.querySelector(`[data-router-region="${name}"]`);
+  }
+
+  /**
+   * Replace every region present on both pages, plus the document metadata
+   * @private
+   * @param {Document} next - Parsed next page
+   */
+  _swap(next) {
+    document.querySelectorAll('[data-router-region]').forEach(region => {
+      const replacement = this._region(next, region.dataset.routerRegion);
+      if (!replacement) return;
+
+      // Scripts are left out here and run once by _runScripts()
+      const fragment = document.createDocumentFragment();
+      fragment.append(...[...replacement.childNodes].map(node => document.importNode(node, true)));
+      fragment.querySelectorAll('script').forEach(script => script.remove());
+
+      region.replaceChildren(fragment);
+      region.className = replacement.className;
+    });
+
+    document.title = next.title;
+
+    ['meta[name="description"]', 'link[rel="canonical"]'].forEach(selector => {
+      const current = document.head.querySelector(selector);
+      const replacement = next.head.querySelector(selector);
+      if (current && replacement) current.replaceWith(document.importNode(replacement, true));
+    });
+
+    // Tag pages advertise extra feeds
+    document.head.querySelectorAll('link[rel="alternate"]').forEach(link => link.remove());
+    next.head.querySelectorAll('link[rel="alternate"]').forEach(link => {
+      document.head.append(document.importNode(link, true));
+    });
+  }
+
+  /**
+   * Run the next page's scripts that this document hasn't run yet
+   * Already-loaded modules are not evaluated twice; they re-run through onPageLoad().
+   * @private
+   * @param {Document} next - Parsed next page
+   */
+  _runScripts(next) {
+    next.querySelectorAll('script').forEach(script => {
+      const type = script.getAttribute('type');
+      if (type && type !== 'module' && type !== 'text/javascript') return;
+
+      const key = this._scriptKey(script);
+      if (this.executed.has(key)) return;
+      this.executed.add(key);
+
+      const clone = document.createElement('script');
+      [...script.attributes].forEach(({ name, value }) => clone.setAttribute(name, value));
+      clone.textContent = script.textContent;
+      document.body.append(clone);
+    });
+  }
+
+  /**
+   * Identity of a script: its absolute src, or its source text
+   * @private
+   * @param {HTMLScriptElement} script
+   * @returns {string}
+   */
+  _scriptKey(script) {
+    const src = script.getAttribute('src');
+    return src ? new URL(src, window.location.href).href : script.textContent;
+  }
+
+  /**
+   * Scroll after a swap: a saved position, the URL's hash target, or the top
+   * @private
+   * @param {URL} url
+   * @param {number} [scroll]
+   */
+  _restoreScroll(url, scroll) {
+    if (scroll !== undefined) {
+      window.scrollTo(0, scroll);
+      return;
+    }
+
+    const target = url.hash && document.getElementById(decodeURIComponent(url.hash.slice(1)));
+    if (target) {
+      target.scrollIntoView();
+    } else {
+      window.scrollTo(0, 0);
+    }
+  }
+
+  /**
+   * Record the scroll position on the current history entry
+   * @private
+   */
+  _saveState() {
+    history.replaceState({ ...history.state, router: true, scroll: window.scrollY }, '');
+  }
+}
+
+/**
+ * Shared instance, started by TerminalLayout
+ */
+export const router = new Router();
+
+/**
+ * Go to a page through the router, or with a normal load when it isn't running
+ * or the URL isn't a page of this site
+ * @param {string} href - Site-relative URL (absolute and mailto: URLs load normally)
+ */
+export function navigate(href) {
+  const url = new URL(href, window.location.href);
+  if (!isInternal(url)) {
+    window.location.assign(url.href);
+    return;
+  }
+
+  if (pageKey(url) === pageKey(window.location) && url.search === window.location.search && !url.hash) return;
+
+  if (router.started) {
+    router.navigate(url.href);
+  } else {
+    window.location.assign(url.href);
+  }
+}
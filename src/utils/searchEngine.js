@@ -0,0 +1,303 @@
+/**
+ * Full-text search for blog posts
+ * The index is built at build time (see pages/search-index.json.ts) and
+ * queried entirely in the browser, so search works without a server.
+ * @module searchEngine
+ */
+
+import { tagSlug } from './tags.js';
+
+/**
+ * Relative weight of each field when scoring matches
+ */
+const FIELD_WEIGHTS = {
+  title: 5,
+  tags: 3,
+  description: 2,
+  text: 1
+};
+
+/**
+ * Words too common to be worth indexing
+ */
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'in', 'is',
+  'it', 'of', 'on', 'or', 'that', 'the', 'this', 'to', 'was', 'with', 'you'
+]);
+
+const SNIPPET_LENGTH = 180;
+const PHRASE_BOOST = 4;
+const PREFIX_PENALTY = 0.5;
+
+/**
+ * Split text into lowercase search terms
+ * @param {string} text - Input text
+ * @returns {string[]} Terms (stop words and single characters removed)
+ */
+export function tokenize(text = '') {
+  return (text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])
+    .filter(term => term.length > 1 && !STOP_WORDS.has(term));
+}
+
+/**
+ * Reduce raw markdown to searchable plain text
+ * @param {string} markdown - Post body
+ * @returns {string} Plain text with single spaces
+ */
+export function stripMarkdown(markdown = '') {
+  return markdown
+    .replace(/^```.*$/gm, ' ')                  // code fence markers (content is kept)
+    .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')   // images -> alt text
+    .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')    // links -> link text
+    .replace(/<[^>]+>/g, ' ')                   // inline HTML
+    .replace(/^\s{0,3}(#{1,6}|>|[-*+]|\d+\.)\s+/gm, '') // block markers
+    .replace(/^\s*\|?[\s:|-]+\|[\s:|-]*$/gm, ' ') // table separator rows
+    .replace(/[`*_~|]/g, ' ')                   // inline markers and table pipes
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Build a search index from post documents
+ * @param {Array<Object>} docs - Documents: { slug, title, description, tags, date, text }
+ * @returns {Object} Serializable index: { docs, terms }
+ */
+export function buildSearchIndex(docs) {
+  const terms = Object.create(null);
+
+  const indexedDocs = docs.map((doc, docIndex) => {
+    const counts = Object.create(null);
+    const fields = {
+      title: doc.title,
+      tags: (doc.tags || []).join(' '),
+      description: doc.description,
+      text: doc.text
+    };
+
+    Object.entries(fields).forEach(([field, value]) => {
+      tokenize(value).forEach(term => {
+        counts[term] = (counts[term] || 0) + FIELD_WEIGHTS[field];
+      });
+    });
+
+    Object.entries(counts).forEach(([term, weight]) => {
+      (terms[term] ||= []).push([docIndex, weight]);
+    });
+
+    return {
+      slug: doc.slug,
+      title: doc.title,
+      description: doc.description,
+      tags: doc.tags || [],
+      date: doc.date,
+      text: doc.text
+    };
+  });
+
+  return { docs: indexedDocs, terms };
+}
+
+/**
+ * Parse a query string into terms, quoted phrases and tag filters
+ * @param {string} query - e.g. `ledger "private state" tag:midnight`
+ * @returns {{terms: string[], phrases: string[], tags: string[]}}
+ */
+export function parseQuery(query = '') {
+  const parsed = { terms: [], phrases: [], tags: [] };
+  const pattern = /tag:(?:"([^"]+)"|(\S+))|"([^"]+)"|(\S+)/gi;
+  let match;
+
+  while ((match = pattern.exec(query)) !== null) {
+    const [, quotedTag, tag, phrase, word] = match;
+
+    if (quotedTag || tag) {
+      parsed.tags.push(tagSlug(quotedTag || tag));
+    } else if (phrase) {
+      const normalized = phrase.toLowerCase().replace(/\s+/g, ' ').trim();
+      if (normalized) parsed.phrases.push(normalized);
+    } else {
+      parsed.terms.push(...tokenize(word));
+    }
+  }
+
+  return parsed;
+}
+
+/**
+ * Escape a string for use inside a RegExp
+ * @param {string} value
+ * @returns {string}
+ */
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Build a regex matching query terms (as word prefixes) and phrases
+ * @param {Object} parsed - Result of parseQuery()
+ * @returns {RegExp|null}
+ */
+function highlightPattern(parsed) {
+  const parts = [
+    ...parsed.phrases.map(phrase => escapeRegExp(phrase).replace(/ /g, '\\s+')),
+    ...parsed.terms.map(term => `\\b${escapeRegExp(term)}[\\p{L}\\p{N}]*`)
+  ];
+
+  return parts.length ? new RegExp(parts.join('|'), 'giu') : null;
+}
+
+/**
+ * Split text into plain and highlighted segments
+ * @param {string} text - Text to highlight
+ * @param {Object} parsed - Result of parseQuery()
+ * @returns {Array<{text: string, match: boolean}>}
+ */
+export function highlight(text, parsed) {
+  const pattern = highlightPattern(parsed);
+  if (!pattern) return [{ text, match: false }];
+
+  const segments = [];
+  let last = 0;
+
+  for (const match of text.matchAll(pattern)) {
+    if (match.index > last) {
+      segments.push({ text: text.slice(last, match.index), match: false });
+    }
+    segments.push({ text: match[0], match: true });
+    last = match.index + match[0].length;
+  }
+
+  if (last < text.length) {
+    segments.push({ text: text.slice(last), match: false });
+  }
+
+  return segments;
+}
+
+/**
+ * Cut a window of text around the first match and highlight it
+ * @param {string} text - Document plain text
+ * @param {Object} parsed - Result of parseQuery()
+ * @returns {Array<{text: string, match: boolean}>}
+ */
+export function makeSnippet(text, parsed) {
+  const pattern = highlightPattern(parsed);
+  const first = pattern ? text.search(pattern) : -1;
+
+  let start = Math.max(0, first - SNIPPET_LENGTH / 3);
+  if (start > 0) {
+    const space = text.indexOf(' ', start);
+    start = space >= 0 && space < first ? space + 1 : start;
+  }
+
+  let end = Math.min(text.length, start + SNIPPET_LENGTH);
+  if (end < text.length) {
+    const space = text.lastIndexOf(' ', end);
+    end = space > start ? space : end;
+  }
+
+  const excerpt = `${start > 0 ? '…' : ''}${text.slice(start, end)}${end < text.length ? '…' : ''}`;
+  return highlight(excerpt, parsed);
+}
+
+/**
+ * Score one term against the index, including prefix matches
+ * @param {Object} index - Search index
+ * @param {string[]} keys - Cached Object.keys(index.terms)
+ * @param {string} term - Query term
+ * @returns {Map<number, number>} docIndex -> weight
+ */
+function termWeights(index, keys, term) {
+  const weights = new Map();
+  const docCount = index.docs.length;
+
+  keys.forEach(key => {
+    if (!key.startsWith(term)) return;
+
+    const postings = index.terms[key];
+    const idf = Math.log(1 + docCount / postings.length);
+    const factor = key === term ? 1 : PREFIX_PENALTY;
+
+    postings.forEach(([docIndex, weight]) => {
+      weights.set(docIndex, (weights.get(docIndex) || 0) + weight * idf * factor);
+    });
+  });
+
+  return weights;
+}
+
+/**
+ * Run a query against the index
+ * @param {Object} index - Index from buildSearchIndex()
+ * @param {string} query - Query string (terms, "phrases", tag:filters)
+ * @param {Object} [options]
+ * @param {number} [options.limit=Infinity] - Maximum results
+ * @returns {Array<{doc: Object, score: number, snippet: Array}>} Ranked results
+ */
+export function search(index, query, options = {}) {
+  const { limit = Infinity } = options;
+  const parsed = parseQuery(query);
+
+  if (!parsed.terms.length && !parsed.phrases.length && !parsed.tags.length) {
+    return [];
+  }
+
+  const keys = Object.keys(index.terms);
+  const perTerm = parsed.terms.map(term => termWeights(index, keys, term));
+
+  const results = [];
+
+  index.docs.forEach((doc, docIndex) => {
+    const slugs = doc.tags.map(tagSlug);
+    if (!parsed.tags.every(tag => slugs.includes(tag))) return;
+
+    let score = 0;
+
+    // Every term must match (AND semantics)
+    for (const weights of perTerm) {
+      const weight = weights.get(docIndex);
+      if (!weight) return;
+      score += weight;
+    }
+
+    const haystack = `${doc.title} ${doc.description} ${doc.text}`.toLowerCase().replace(/\s+/g, ' ');
+    for (const phrase of parsed.phrases) {
+      const occurrences = haystack.split(phrase).length - 1;
+      if (occurrences === 0) return;
+      score += occurrences * PHRASE_BOOST;
+    }
+
+    results.push({
+      doc,
+      score: score || 1,
+      snippet: makeSnippet(doc.text, parsed)
+    });
+  });
+
+  return results
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+}
+
+let indexPromise = null;
+
+/**
+ * Fetch the prebuilt index once per page
+ * @param {string} [url='/search-index.json'] - Index location
+ * @returns {Promise<Object>} Search index
+ */
+export function loadSearchIndex(url = '/search-index.json') {
+  if (!indexPromise) {
+    indexPromise = fetch(url)
+      .then(response => {
+        if (!response.ok) throw new Error(`search index unavailable (${response.status})`);
+        return response.json();
+      })
+      .catch(error => {
+        indexPromise = null;
+        throw error;
+      });
+  }
+
+  return indexPromise;
+}
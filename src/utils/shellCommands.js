@@ -0,0 +1,329 @@
+/**
+ * Built-in commands and virtual filesystem for the terminal shell
+ * @module shellCommands
+ */
+
+import { loadSearchIndex, search } from './searchEngine.js';
+import { motionPreference } from './motionPreference.js';
+import { themeEngine } from './themeEngine.js';
+
+const GREP_LIMIT = 5;
+
+// `motion` arguments mapped to MotionPreference overrides
+const MOTION_ARGS = { on: 'full', off: 'reduce', system: null };
+
+/**
+ * Resolve a path argument against the current working directory
+ * @param {string} cwd - Current directory (absolute)
+ * @param {string} [target] - Path typed by the user
+ * @returns {string} Normalized absolute path without trailing slash
+ */
+export function resolvePath(cwd, target = '~') {
+  let path = target;
+
+  if (path === '~' || path.startsWith('~/')) {
+    path = '/' + path.slice(2);
+  } else if (!path.startsWith('/')) {
+    path = `${cwd}/${path}`;
+  }
+
+  const segments = [];
+  path.split('/').forEach(segment => {
+    if (!segment || segment === '.') return;
+    if (segment === '..') {
+      segments.pop();
+    } else {
+      segments.push(segment);
+    }
+  });
+
+  return '/' + segments.join('/');
+}
+
+/**
+ * Display form of a path, with the site root shown as ~
+ * @param {string} path - Absolute path
+ * @returns {string}
+ */
+export function displayPath(path) {
+  return path === '/' ? '~' : `~${path}`;
+}
+
+/**
+ * Check whether a path is a directory (the root or a nav route)
+ * @param {string} path - Absolute path
+ * @param {Object} manifest - Shell manifest
+ * @returns {boolean}
+ */
+export function isDirectory(path, manifest) {
+  return path === '/' || manifest.routes.some(route => route.href === path);
+}
+
+/**
+ * List the entries of a directory
+ * @param {string} path - Absolute directory path
+ * @param {Object} manifest - Shell manifest
+ * @returns {Array<{name: string, type: 'dir'|'file'}>}
+ */
+export function listDirectory(path, manifest) {
+  if (path === '/') {
+    return manifest.routes
+      .filter(route => route.href !== '/')
+      .map(route => ({ name: `${route.href.slice(1)}/`, type: 'dir' }));
+  }
+
+  if (path === '/blog') {
+    return manifest.posts.map(post => ({ name: `${post.slug}.md`, type: 'file' }));
+  }
+
+  if (path === '/projects') {
+    return manifest.projects.map(project => ({ name: project.slug, type: 'file' }));
+  }
+
+  return [];
+}
+
+/**
+ * Find the directory containing a page, e.g. /blog/some-post -> /blog
+ * @param {string} pathname - Page pathname
+ * @param {Object} manifest - Shell manifest
+ * @returns {string} Absolute directory path
+ */
+export function directoryForPage(pathname, manifest) {
+  const path = resolvePath('/', pathname);
+  const route = manifest.routes
+    .filter(r => r.href !== '/' && (path === r.href || path.startsWith(`${r.href}/`)))
+    .sort((a, b) => b.href.length - a.href.length)[0];
+
+  return route ? route.href : '/';
+}
+
+/**
+ * Find a blog post by slug, filename or path
+ * @param {string} target - Argument typed by the user
+ * @param {Object} manifest - Shell manifest
+ * @returns {Object|undefined} Post entry from the manifest
+ */
+function findPost(target, manifest) {
+  const slug = target.replace(/^.*\//, '').replace(/\.md$/, '');
+
+  return manifest.posts.find(post => post.slug === slug);
+}
+
+/**
+ * Find a project by slug or display name (case-insensitive)
+ * @param {string} target - Argument typed by the user
+ * @param {Object} manifest - Shell manifest
+ * @returns {Object|undefined} Project entry from the manifest
+ */
+function findProject(target, manifest) {
+  const needle = target.replace(/^.*\//, '').toLowerCase();
+
+  return manifest.projects.find(project =>
+    project.slug.toLowerCase() === needle || project.name.toLowerCase() === needle
+  );
+}
+
+/**
+ * Complete a path argument against the virtual filesystem
+ * @param {string} partial - Partially typed path
+ * @param {Object} shell - Shell API
+ * @param {Function} [accept] - Filter for entries, receives {name, type}
+ * @returns {string[]} Candidate completions
+ */
+export function completePath(partial, shell, accept = () => true) {
+  const slash = partial.lastIndexOf('/');
+  const dirPart = slash >= 0 ? partial.slice(0, slash + 1) : '';
+  const prefix = partial.slice(slash + 1);
+  const dir = resolvePath(shell.cwd, dirPart || '.');
+
+  return listDirectory(dir, shell.manifest)
+    .filter(entry => entry.name.startsWith(prefix) && accept(entry))
+    .map(entry => dirPart + entry.name);
+}
+
+/**
+ * Register the built-in commands on a registry
+ * @param {import('./commandRegistry.js').CommandRegistry} registry - Target registry
+ * @returns {import('./commandRegistry.js').CommandRegistry} The registry
+ */
+export function registerBuiltinCommands(registry) {
+  registry.register('help', {
+    description: 'List available commands',
+    run: (args, shell) => {
+      const commands = registry.list();
+      const width = Math.max(...commands.map(c => c.usage.length));
+
+      shell.print('AVAILABLE COMMANDS:', 'accent');
+      commands.forEach(command => {
+        shell.print(`  ${command.usage.padEnd(width)}  ${command.description}`);
+      });
+    }
+  });
+
+  registry.register('ls', {
+    usage: 'ls [dir]',
+    description: 'List directory contents',
+    run: (args, shell) => {
+      const path = resolvePath(shell.cwd, args[0] || '.');
+
+      if (!isDirectory(path, shell.manifest)) {
+        shell.print(`ls: ${args[0]}: No such directory`, 'error');
+        return;
+      }
+
+      const entries = listDirectory(path, shell.manifest);
+      if (entries.length === 0) {
+        shell.print('(empty)', 'muted');
+        return;
+      }
+
+      entries.forEach(entry => shell.print(entry.name, entry.type === 'dir' ? 'dir' : 'info'));
+    },
+    complete: (partial, shell) => completePath(partial, shell, entry => entry.type === 'dir')
+  });
+
+  registry.register('cd', {
+    usage: 'cd [dir]',
+    description: 'Change directory and open its page',
+    run: (args, shell) => {
+      const path = resolvePath(shell.cwd, args[0]);
+
+      if (!isDirectory(path, shell.manifest)) {
+        shell.print(`cd: ${args[0]}: No such directory`, 'error');
+        return;
+      }
+
+      shell.setCwd(path);
+      shell.navigate(path);
+    },
+    complete: (partial, shell) => completePath(partial, shell, entry => entry.type === 'dir')
+  });
+
+  registry.register('cat', {
+    usage: 'cat <post>',
+    description: 'Read a blog post',
+    run: (args, shell) => {
+      if (!args[0]) {
+        shell.print('usage: cat <post>', 'error');
+        return;
+      }
+
+      const post = findPost(args[0], shell.manifest);
+      if (!post) {
+        shell.print(`cat: ${args[0]}: No such file`, 'error');
+        return;
+      }
+
+      shell.navigate(`/blog/${post.slug}`);
+    },
+    complete: (partial, shell) => (shell.cwd === '/blog' || partial.includes('/'))
+      ? completePath(partial, shell)
+      : completePath(`/blog/${partial}`, shell)
+  });
+
+  registry.register('open', {
+    usage: 'open <project>',
+    description: 'Open a project repository',
+    run: (args, shell) => {
+      if (!args[0]) {
+        shell.print('usage: open <project>', 'error');
+        return;
+      }
+
+      const project = findProject(args[0], shell.manifest);
+      if (!project) {
+        shell.print(`open: ${args[0]}: No such project`, 'error');
+        return;
+      }
+
+      shell.print(`Opening ${project.href} ...`, 'muted');
+      shell.openExternal(project.href);
+    },
+    complete: (partial, shell) => shell.manifest.projects
+      .map(project => project.slug)
+      .filter(slug => slug.startsWith(partial))
+  });
+
+  registry.register('grep', {
+    usage: 'grep <query>',
+    description: 'Search blog posts ("phrase", tag:name)',
+    run: async (args, shell, query) => {
+      if (!query) {
+        shell.print('usage: grep <query>', 'error');
+        return;
+      }
+
+      const results = search(await loadSearchIndex(), query);
+      if (results.length === 0) {
+        shell.print(`grep: no matches for ${query}`, 'muted');
+        return;
+      }
+
+      results.slice(0, GREP_LIMIT).forEach(({ doc, snippet }) => {
+        shell.print([
+          { text: `${doc.slug}.md: `, tone: 'dir' },
+          ...snippet.map(segment => ({ text: segment.text, tone: segment.match ? 'match' : undefined }))
+        ]);
+      });
+
+      const more = results.length > GREP_LIMIT ? ` (showing ${GREP_LIMIT})` : '';
+      shell.print(`${results.length} match(es)${more}. Full results: /search?q=${encodeURIComponent(query)}`, 'muted');
+    }
+  });
+
+  registry.register('clear', {
+    description: 'Clear the screen',
+    run: (args, shell) => shell.clear()
+  });
+
+  registry.register('whoami', {
+    description: 'Print the current user',
+    run: (args, shell) => {
+      const { user, host } = shell.manifest;
+      shell.print(user);
+      shell.print(`uid=1000(${user}) gid=1000(${host}) groups=cardano,midnight,opensource`, 'muted');
+    }
+  });
+
+  registry.register('motion', {
+    usage: 'motion [on|off|system]',
+    description: 'Show or set the animation preference',
+    complete: (partial) => Object.keys(MOTION_ARGS).filter(arg => arg.startsWith(partial)),
+    run: ([mode], shell) => {
+      if (mode !== undefined) {
+        if (!(mode in MOTION_ARGS)) {
+          throw new Error(`unknown mode '${mode}'. Use on, off or system.`);
+        }
+        motionPreference.setOverride(MOTION_ARGS[mode]);
+      }
+
+      const source = motionPreference.override ? 'user override' : 'system setting';
+      shell.print(`animations: ${motionPreference.reduced ? 'OFF' : 'ON'} (${source})`, 'info');
+    }
+  });
+
+  registry.register('theme', {
+    usage: 'theme [name|next]',
+    description: 'Show or switch the phosphor colour theme',
+    complete: (partial) => [...themeEngine.ids, 'next'].filter(id => id.startsWith(partial)),
+    run: ([name], shell) => {
+      if (name === 'next') {
+        themeEngine.cycle();
+      } else if (name !== undefined) {
+        if (!themeEngine.ids.includes(name)) {
+          throw new Error(`unknown theme '${name}'. Use ${themeEngine.ids.join(', ')}.`);
+        }
+        themeEngine.set(name);
+      }
+
+      themeEngine.ids.forEach(id => {
+        const theme = themeEngine.get(id);
+        const marker = id === themeEngine.current ? '*' : ' ';
+        shell.print(`${marker} ${id.padEnd(10)}${theme.description}`, id === themeEngine.current ? 'accent' : 'muted');
+      });
+    }
+  });
+
+  return registry;
+}
@@ -0,0 +1,88 @@
+/**
+ * Site-wide keyboard shortcuts: nav jumps, table row navigation, search and help
+ * Keys come from config/keybindings.js.
+ * @module siteShortcuts
+ */
+
+import { KEYBINDINGS } from '../config/keybindings.js';
+import { NAV_ITEMS } from '../config/navigation.js';
+import { navigate } from './router.js';
+
+/**
+ * Focus the next or previous visible TableRow
+ * Starts from the first (or last) row when focus is outside the table.
+ * @param {number} delta - 1 for next, -1 for previous
+ * @returns {boolean} False when the page has no rows
+ */
+export function moveRow(delta) {
+  const rows = [...document.querySelectorAll('[data-table-row]')]
+    .filter(row => row.getClientRects().length > 0);
+  if (rows.length === 0) return false;
+
+  const current = rows.indexOf(document.activeElement?.closest('[data-table-row]'));
+  const index = current === -1
+    ? (delta > 0 ? 0 : rows.length - 1)
+    : Math.max(0, Math.min(rows.length - 1, current + delta));
+  const row = rows[index];
+
+  // Link rows are focusable already; plain rows need a tabindex
+  if (!row.matches('a[href]')) row.tabIndex = -1;
+  row.focus();
+  row.scrollIntoView({ block: 'nearest' });
+  return true;
+}
+
+/**
+ * Focus the search field on this page, or go to /search
+ */
+export function focusSearch() {
+  const input = document.querySelector('input[type="search"]');
+
+  if (input) {
+    input.focus();
+    input.select();
+  } else {
+    navigate('/search');
+  }
+}
+
+/**
+ * Register the site shortcuts on a keybinding manager
+ * @param {import('./keybindings.js').KeybindingManager} keybindings - Target manager
+ * @param {Object} [options]
+ * @param {Function} [options.onHelp] - Shows the shortcut overlay
+ * @param {Object} [options.keys=KEYBINDINGS] - Key configuration
+ * @returns {Function} Unbind everything registered here
+ */
+export function registerSiteShortcuts(keybindings, { onHelp, keys = KEYBINDINGS } = {}) {
+  const unbinds = NAV_ITEMS
+    .filter(item => keys.navigation[item.href])
+    .map(item => keybindings.bind(keys.navigation[item.href], () => navigate(item.href), {
+      description: `Go to ${item.name.toLowerCase()}`,
+      group: 'NAVIGATION'
+    }));
+
+  unbinds.push(
+    keybindings.bind(keys.nextRow, () => moveRow(1), {
+      description: 'Next table row',
+      group: 'TABLES'
+    }),
+    keybindings.bind(keys.previousRow, () => moveRow(-1), {
+      description: 'Previous table row',
+      group: 'TABLES'
+    }),
+    keybindings.bind(keys.search, () => focusSearch(), {
+      description: 'Search the blog',
+      group: 'GENERAL'
+    })
+  );
+
+  if (onHelp) {
+    unbinds.push(keybindings.bind(keys.help, () => onHelp(), {
+      description: 'Show keyboard shortcuts',
+      group: 'GENERAL'
+    }));
+  }
+
+  return () => unbinds.forEach(unbind => unbind());
+}
@@ -0,0 +1,328 @@
+/**
+ * Data mode for the terminal Table: sorting, filtering, pagination and
+ * width-dependent columns
+ * The table is fully rendered at build time; the controller only reorders
+ * and hides rows, so without JavaScript every row is still there. View
+ * state lives in the query string (`sort`, `filter`, `page`) so it can be shared.
+ * @module tableController
+ */
+
+import { ListenerBag } from './listeners.js';
+
+/**
+ * Widths (px) below which a column with `hide: <name>` is dropped
+ * Matches Tailwind's default breakpoints.
+ */
+export const TABLE_BREAKPOINTS = {
+  sm: 640,
+  md: 768,
+  lg: 1024
+};
+
+/**
+ * Scoped CSS for a data table's columns
+ * Data rows use one grid track per visible column (sized by `span`) instead
+ * of the 12-column layout, so hiding a column gives its space to the rest.
+ * @param {string} id - Value of the table's data-table attribute
+ * @param {Array<{span: number, hide?: string}>} headers - Column definitions
+ * @returns {string}
+ */
+export function tableColumnStyles(id, headers) {
+  const scope = `[data-table="${id}"] :is(.terminal-table-colheaders, .terminal-table-row)`;
+  const template = (width) => headers
+    .filter(header => (TABLE_BREAKPOINTS[header.hide] || 0) <= width)
+    .map(header => `minmax(0, ${header.span}fr)`)
+    .join(' ');
+
+  const rules = [`${scope} { grid-template-columns: ${template(Infinity)}; }`, `${scope} > * { grid-column: auto; }`];
+
+  Object.entries(TABLE_BREAKPOINTS).forEach(([name, width]) => {
+    const hidden = headers
+      .map((header, index) => header.hide === name ? `:nth-child(${index + 1})` : null)
+      .filter(Boolean);
+    if (hidden.length === 0) return;
+
+    rules.push(`@media (max-width: ${width - 0.02}px) { ${scope} > :is(${hidden.join(', ')}) { display: none; } }`);
+  });
+
+  // Wider breakpoints first so narrower ones override them
+  Object.values(TABLE_BREAKPOINTS).sort((a, b) => b - a).forEach(width => {
+    const narrower = template(width - 1);
+    if (narrower !== template(width)) {
+      rules.push(`@media (max-width: ${width - 0.02}px) { ${scope} { grid-template-columns: ${narrower}; } }`);
+    }
+  });
+
+  return rules.join('\n');
+}
+
+/**
+ * Compare two cell values: numbers numerically, anything else as text
+ * @param {*} a
+ * @param {*} b
+ * @returns {number}
+ */
+export function compareValues(a, b) {
+  if (a == null || a === '') return b == null || b === '' ? 0 : 1;
+  if (b == null || b === '') return -1;
+  if (typeof a === 'number' && typeof b === 'number') return a - b;
+  return String(a).localeCompare(String(b), undefined, { numeric: true, sensitivity: 'base' });
+}
+
+/**
+ * Sorts, filters and paginates the rows of one data table
+ */
+export class TableController {
+  /**
+   * @param {Object} config - Configuration options
+   * @param {HTMLElement} config.root - Table element (`[data-table]`)
+   * @param {number} [config.pageSize] - Rows per page, 0 for no paging (default: data-page-size)
+   * @param {string} [config.queryPrefix] - Prefix for the query parameters (default: data-query-prefix)
+   * @param {boolean} [config.syncUrl=true] - Keep the query string in step with the view
+   * @param {number} [config.filterUrlDelay=300] - Typing pause before the filter is written to the URL (ms)
+   */
+  constructor(config) {
+    this.config = {
+      pageSize: Number(config.root?.dataset.pageSize) || 0,
+      queryPrefix: config.root?.dataset.queryPrefix || '',
+      syncUrl: true,
+      filterUrlDelay: 300,
+      ...config
+    };
+
+    if (!this.config.root) {
+      throw new Error('TableController: root element is required');
+    }
+
+    const { root } = this.config;
+    this.body = root.querySelector('[data-table-body]');
+    this.filterInput = root.querySelector('[data-table-filter-input]');
+    this.pagination = root.querySelector('[data-table-pagination]');
+    this.status = root.querySelector('[data-table-status]');
+    this.empty = root.querySelector('[data-table-empty]');
+    this.sortButtons = [...root.querySelectorAll('[data-table-sort]')];
+
+    this.rows = [];
+    this.sort = null;
+    this.filter = '';
+    this.page = 1;
+    this.listeners = new ListenerBag();
+    this.urlTimer = null;
+  }
+
+  /**
+   * Read the view from the URL, reveal the controls and render
+   */
+  init() {
+    if (!this.body) return;
+
+    this.rows = [...this.body.querySelectorAll('[data-table-row]')].map((element, index) => ({
+      element,
+      index,
+      values: JSON.parse(element.dataset.values || '{}'),
+      text: element.textContent.replace(/\s+/g, ' ').toLowerCase()
+    }));
+
+    this._readUrl();
+
+    this.sortButtons.forEach(button => {
+      button.disabled = false;
+      this.listeners.add(button, 'click', () => this.toggleSort(button.dataset.tableSort));
+    });
+
+    if (this.filterInput) {
+      this.filterInput.closest('[data-table-filter]').hidden = false;
+      this.filterInput.value = this.filter;
+      this.listeners.add(this.filterInput, 'input', () => this.setFilter(this.filterInput.value));
+    }
+
+    if (this.pagination) {
+      this.listeners.add(this.pagination, 'click', (e) => {
+        const step = e.target.closest('[data-table-page]')?.dataset.tablePage;
+        if (step) this.setPage(this.page + Number(step));
+      });
+    }
+
+    this.render();
+  }
+
+  /**
+   * Sort by a column: ascending, then descending, then back to the original order
+   * @param {string} key - Column key
+   */
+  toggleSort(key) {
+    if (this.sort?.key !== key) {
+      this.sort = { key, desc: false };
+    } else if (!this.sort.desc) {
+      this.sort = { key, desc: true };
+    } else {
+      this.sort = null;
+    }
+
+    this.page = 1;
+    this._update();
+  }
+
+  /**
+   * Show only rows containing every word of a query
+   * @param {string} query
+   */
+  setFilter(query) {
+    this.filter = query;
+    this.page = 1;
+    this.render();
+
+    // One history update per pause in typing, not per keystroke
+    clearTimeout(this.urlTimer);
+    if (this.config.syncUrl) {
+      this.urlTimer = setTimeout(() => this._writeUrl(), this.config.filterUrlDelay);
+    }
+  }
+
+  /**
+   * Go to a page, clamped to the pages available
+   * @param {number} page - 1-based
+   */
+  setPage(page) {
+    this.page = page;
+    this._update();
+  }
+
+  /**
+   * Rows matching the filter, in display order
+   * @returns {Array<{element: HTMLElement, index: number, values: Object, text: string}>}
+   */
+  visibleRows() {
+    const terms = this.filter.toLowerCase().split(/\s+/).filter(Boolean);
+    const rows = this.rows.filter(row => terms.every(term => row.text.includes(term)));
+
+    if (this.sort) {
+      const { key, desc } = this.sort;
+      rows.sort((a, b) => (desc ? -1 : 1) * compareValues(a.values[key], b.values[key]) || a.index - b.index);
+    }
+
+    return rows;
+  }
+
+  /**
+   * Apply the current view to the DOM
+   */
+  render() {
+    const rows = this.visibleRows();
+    const { pageSize } = this.config;
+    const pages = pageSize > 0 ? Math.max(1, Math.ceil(rows.length / pageSize)) : 1;
+    this.page = Math.min(Math.max(1, this.page), pages);
+
+    const start = pageSize > 0 ? (this.page - 1) * pageSize : 0;
+    const shown = new Set(pageSize > 0 ? rows.slice(start, start + pageSize) : rows);
+
+    // Matching rows in sorted order, then the rest (hidden) in their original order
+    const order = [...rows, ...this.rows.filter(row => !rows.includes(row))];
+    order.forEach(row => {
+      row.element.hidden = !shown.has(row);
+      this.body.append(row.element);
+    });
+
+    if (this.empty) {
+      this.body.append(this.empty);
+      this.empty.hidden = rows.length > 0;
+    }
+
+    this.sortButtons.forEach(button => {
+      const active = this.sort?.key === button.dataset.tableSort;
+      const arrow = active ? (this.sort.desc ? ' ▼' : ' ▲') : '';
+      button.querySelector('[data-table-sort-indicator]').textContent = arrow;
+      button.setAttribute('aria-pressed', String(active));
+    });
+
+    if (this.pagination) {
+      this.pagination.hidden = pages <= 1;
+      const pad = (n) => String(n).padStart(2, '0');
+      this.pagination.querySelector('[data-table-page-count]').textContent = `${pad(this.page)}/${pad(pages)}`;
+      this.pagination.querySelector('[data-table-page="-1"]').disabled = this.page <= 1;
+      this.pagination.querySelector('[data-table-page="1"]').disabled = this.page >= pages;
+    }
+
+    if (this.status) {
+      this.status.textContent = `${rows.length}/${this.rows.length} ROWS`;
+    }
+  }
+
+  /**
+   * Hide the controls and restore the build-time rendering
+   */
+  destroy() {
+    clearTimeout(this.urlTimer);
+    this.listeners.clear();
+
+    this.rows.forEach(row => {
+      row.element.hidden = false;
+      this.body.append(row.element);
+    });
+    if (this.empty) this.empty.hidden = true;
+
+    this.sortButtons.forEach(button => { button.disabled = true; });
+    if (this.filterInput) this.filterInput.closest('[data-table-filter]').hidden = true;
+    if (this.pagination) this.pagination.hidden = true;
+
+    this.rows = [];
+  }
+
+  /**
+   * Render and record the view in the URL
+   * @private
+   */
+  _update() {
+    this.render();
+    if (this.config.syncUrl) this._writeUrl();
+  }
+
+  /**
+   * @private
+   * @param {string} name
+   * @returns {string}
+   */
+  _param(name) {
+    return `${this.config.queryPrefix}${name}`;
+  }
+
+  /**
+   * Load sort, filter and page from the query string
+   * @private
+   */
+  _readUrl() {
+    const params = new URLSearchParams(window.location.search);
+    const sort = params.get(this._param('sort'));
+    const keys = this.sortButtons.map(button => button.dataset.tableSort);
+
+    if (sort && keys.includes(sort.replace(/^-/, ''))) {
+      this.sort = { key: sort.replace(/^-/, ''), desc: sort.startsWith('-') };
+    }
+
+    this.filter = params.get(this._param('filter')) || '';
+    this.page = Number(params.get(this._param('page'))) || 1;
+  }
+
+  /**
+   * Replace the query string with the current view, leaving other parameters alone
+   * The router keys pages by path alone, so this doesn't count as navigating.
+   * @private
+   */
+  _writeUrl() {
+    clearTimeout(this.urlTimer);
+    const url = new URL(window.location.href);
+    const set = (name, value) => {
+      if (value) {
+        url.searchParams.set(this._param(name), value);
+      } else {
+        url.searchParams.delete(this._param(name));
+      }
+    };
+
+    set('sort', this.sort && `${this.sort.desc ? '-' : ''}${this.sort.key}`);
+    set('filter', this.filter.trim());
+    set('page', this.page > 1 && String(this.page));
+
+    history.replaceState(history.state, '', url);
+  }
+}
@@ -0,0 +1,54 @@
+/**
+ * Tag helpers shared by the blog, search and feeds
+ * @module tags
+ */
+
+/**
+ * Normalize a tag to its URL slug, e.g. "smart contracts" -> "smart-contracts"
+ * @param {string} tag - Tag as written in frontmatter
+ * @returns {string} Lowercase slug
+ */
+export function tagSlug(tag) {
+  return tag
+    .toLowerCase()
+    .trim()
+    .replace(/[^\p{L}\p{N}]+/gu, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Group posts by tag slug with counts
+ * Tags that differ only in spelling ("Smart Contracts", "smart-contracts")
+ * share a slug and are counted together under the first spelling seen.
+ * @param {Array} posts - Blog collection entries
+ * @returns {Array<{slug: string, label: string, count: number, posts: Array}>} Sorted by count, then label
+ */
+export function getTagIndex(posts) {
+  const bySlug = new Map();
+
+  posts.forEach(post => {
+    (post.data.tags || []).forEach(tag => {
+      const slug = tagSlug(tag);
+      if (!bySlug.has(slug)) {
+        bySlug.set(slug, { slug, label: tag, count: 0, posts: [] });
+      }
+
+      const entry = bySlug.get(slug);
+      if (!entry.posts.includes(post)) {
+        entry.posts.push(post);
+        entry.count++;
+      }
+    });
+  });
+
+  return [...bySlug.values()].sort((a, b) => b.count - a.count || a.label.localeCompare(b.label));
+}
+
+/**
+ * URL of a tag's archive page
+ * @param {string} tag - Tag as written or already slugged
+ * @returns {string}
+ */
+export function tagHref(tag) {
+  return `/blog/tags/${tagSlug(tag)}`;
+}
@@ -0,0 +1,330 @@
+/**
+ * Interactive terminal shell controller
+ * Wires a CursorBlock prompt to the command registry with history,
+ * tab completion and scrollback output
+ * @module terminalShell
+ */
+
+import { ListenerBag } from './listeners.js';
+import { navigate } from './router.js';
+import { displayPath, directoryForPage } from './shellCommands.js';
+
+/**
+ * Text color classes for output tones
+ */
+const TONE_CLASSES = {
+  info: 'text-white/80',
+  muted: 'text-phosphor-500/50',
+  accent: 'text-phosphor-400',
+  dir: 'text-blue-400',
+  error: 'text-red-400',
+  echo: 'text-phosphor-500',
+  match: 'text-black bg-phosphor-500'
+};
+
+/**
+ * Longest prefix shared by all strings
+ * @param {string[]} values - Candidate strings
+ * @returns {string}
+ */
+function commonPrefix(values) {
+  return values.reduce((prefix, value) => {
+    let i = 0;
+    while (i < prefix.length && prefix[i] === value[i]) i++;
+    return prefix.slice(0, i);
+  });
+}
+
+/**
+ * Manages one shell instance: input handling, history and output
+ */
+export class TerminalShell {
+  /**
+   * @param {Object} config - Shell configuration
+   * @param {HTMLElement} config.root - Element carrying the data-shell-* children
+   * @param {import('./commandRegistry.js').CommandRegistry} config.registry - Command registry
+   * @param {Object} config.manifest - Site manifest: { user, host, routes, posts, projects }
+   * @param {string} [config.historyKey='terminalShellHistory'] - SessionStorage key for history
+   * @param {number} [config.maxHistory=100] - Maximum remembered commands
+   * @param {number} [config.maxLines=200] - Maximum scrollback lines
+   */
+  constructor(config) {
+    this.config = {
+      historyKey: 'terminalShellHistory',
+      maxHistory: 100,
+      maxLines: 200,
+      ...config
+    };
+
+    if (!this.config.root) {
+      throw new Error('TerminalShell: root is required');
+    }
+
+    this.registry = this.config.registry;
+    this.manifest = this.config.manifest;
+    this.cwd = directoryForPage(window.location.pathname, this.manifest);
+    this.history = this._loadHistory();
+    this.historyIndex = this.history.length;
+    this.draft = '';
+    this.listeners = new ListenerBag();
+
+    this.root = this.config.root;
+    this.input = this.root.querySelector('[data-shell-input]');
+    this.output = this.root.querySelector('[data-shell-output]');
+    this.form = this.root.querySelector('[data-shell-form]');
+    this.cwdLabel = this.root.querySelector('[data-shell-cwd]');
+  }
+
+  /**
+   * Attach listeners and render the prompt
+   */
+  init() {
+    if (!this.input || !this.output || !this.form) {
+      console.warn('TerminalShell: shell markup is incomplete');
+      return;
+    }
+
+    this._renderCwd();
+
+    this.listeners.add(this.form, 'submit', (e) => {
+      e.preventDefault();
+      this.run(this.input.value);
+    });
+
+    this.listeners.add(this.input, 'keydown', (e) => this._handleKey(e));
+
+    // Clicking anywhere on the shell focuses the prompt
+    this.listeners.add(this.root, 'click', (e) => {
+      if (e.target.closest('a') || window.getSelection()?.toString()) return;
+      this.input.focus();
+    });
+  }
+
+  /**
+   * Echo and execute a command line
+   * @param {string} line - Command line
+   * @returns {Promise<void>}
+   */
+  async run(line) {
+    const trimmed = line.trim();
+    this.print(`${this._promptText()} ${line}`, 'echo');
+    this.input.value = '';
+
+    if (!trimmed) return;
+
+    this._pushHistory(trimmed);
+    await this.registry.execute(trimmed, this);
+  }
+
+  /**
+   * Append a line to the scrollback
+   * @param {string|Array<{text: string, tone?: string}>} text - Line text, or segments with their own tones
+   * @param {string} [tone='info'] - Output tone: info | muted | accent | dir | error | echo | match
+   */
+  print(text, tone = 'info') {
+    const line = document.createElement('div');
+    line.className = `whitespace-pre-wrap ${TONE_CLASSES[tone] || TONE_CLASSES.info}`;
+
+    if (Array.isArray(text)) {
+      text.forEach(segment => {
+        const span = document.createElement('span');
+        if (segment.tone) span.className = TONE_CLASSES[segment.tone] || '';
+        span.textContent = segment.text;
+        line.appendChild(span);
+      });
+    } else {
+      line.textContent = text;
+    }
+
+    this.output.appendChild(line);
+
+    while (this.output.childElementCount > this.config.maxLines) {
+      this.output.firstElementChild.remove();
+    }
+
+    this.output.scrollTop = this.output.scrollHeight;
+  }
+
+  /**
+   * Clear the scrollback
+   */
+  clear() {
+    this.output.replaceChildren();
+  }
+
+  /**
+   * Change the working directory
+   * @param {string} path - Absolute directory path
+   */
+  setCwd(path) {
+    this.cwd = path;
+    this._renderCwd();
+  }
+
+  /**
+   * Navigate to a page on the site
+   * @param {string} href - Site-relative URL
+   */
+  navigate(href) {
+    navigate(href);
+  }
+
+  /**
+   * Open an external URL in a new tab
+   * @param {string} href - Absolute URL
+   */
+  openExternal(href) {
+    window.open(href, '_blank', 'noopener');
+  }
+
+  /**
+   * Remove all listeners
+   */
+  destroy() {
+    this.listeners.clear();
+  }
+
+  /**
+   * Handle special keys in the prompt
+   * @private
+   * @param {KeyboardEvent} e
+   */
+  _handleKey(e) {
+    if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      this._recallHistory(-1);
+    } else if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      this._recallHistory(1);
+    } else if (e.key === 'Tab') {
+      e.preventDefault();
+      this._complete();
+    } else if (e.ctrlKey && e.key === 'l') {
+      e.preventDefault();
+      this.clear();
+    } else if (e.ctrlKey && e.key === 'c') {
+      if (this.input.selectionStart !== this.input.selectionEnd) return;
+      e.preventDefault();
+      this.print(`${this._promptText()} ${this.input.value}^C`, 'echo');
+      this.input.value = '';
+      this.historyIndex = this.history.length;
+    }
+  }
+
+  /**
+   * Step through command history
+   * @private
+   * @param {number} direction - -1 for older, 1 for newer
+   */
+  _recallHistory(direction) {
+    if (this.history.length === 0) return;
+
+    if (this.historyIndex === this.history.length) {
+      this.draft = this.input.value;
+    }
+
+    this.historyIndex = Math.min(
+      this.history.length,
+      Math.max(0, this.historyIndex + direction)
+    );
+
+    this.input.value = this.historyIndex === this.history.length
+      ? this.draft
+      : this.history[this.historyIndex];
+
+    const end = this.input.value.length;
+    this.input.setSelectionRange(end, end);
+  }
+
+  /**
+   * Complete the token under the cursor
+   * @private
+   */
+  _complete() {
+    const value = this.input.value;
+    const tokens = value.split(/\s+/);
+    const partial = tokens[tokens.length - 1];
+    const isCommand = tokens.length === 1;
+
+    let candidates;
+    if (isCommand) {
+      candidates = this.registry.completeName(partial);
+    } else {
+      const command = this.registry.get(tokens[0]);
+      candidates = command?.complete?.(partial, this, tokens.slice(1, -1)) || [];
+    }
+
+    if (candidates.length === 0) return;
+
+    const head = value.slice(0, value.length - partial.length);
+
+    if (candidates.length === 1) {
+      const [match] = candidates;
+      this.input.value = head + match + (match.endsWith('/') ? '' : ' ');
+      return;
+    }
+
+    const prefix = commonPrefix(candidates);
+    if (prefix.length > partial.length) {
+      this.input.value = head + prefix;
+      return;
+    }
+
+    this.print(`${this._promptText()} ${value}`, 'echo');
+    this.print(candidates.map(c => c.replace(/^.*\/(?=.)/, '')).join('  '), 'muted');
+  }
+
+  /**
+   * Prompt string used when echoing commands
+   * @private
+   * @returns {string}
+   */
+  _promptText() {
+    const { user, host } = this.manifest;
+    return `${user}@${host}:${displayPath(this.cwd)}$`;
+  }
+
+  /**
+   * Update the cwd shown in the live prompt
+   * @private
+   */
+  _renderCwd() {
+    if (this.cwdLabel) {
+      this.cwdLabel.textContent = displayPath(this.cwd);
+    }
+  }
+
+  /**
+   * Add a command to history, skipping immediate repeats
+   * @private
+   * @param {string} line - Command line
+   */
+  _pushHistory(line) {
+    if (this.history[this.history.length - 1] !== line) {
+      this.history.push(line);
+      this.history = this.history.slice(-this.config.maxHistory);
+    }
+    this.historyIndex = this.history.length;
+    this.draft = '';
+
+    try {
+      sessionStorage.setItem(this.config.historyKey, JSON.stringify(this.history));
+    } catch {
+      // Storage unavailable (private mode) - keep in-memory history only
+    }
+  }
+
+  /**
+   * Load history persisted in this session
+   * @private
+   * @returns {string[]}
+   */
+  _loadHistory() {
+    try {
+      const stored = JSON.parse(sessionStorage.getItem(this.config.historyKey) || '[]');
+      return Array.isArray(stored) ? stored : [];
+    } catch {
+      return [];
+    }
+  }
+}
@@ -9,40 +9,40 @@
  */
 export const TERMINAL_VARIANTS = {
   default: {
-    border: 'border-amber-500/50',
+    border: 'border-phosphor-500/50',
     bg: 'bg-black/30',
-    header: 'bg-amber-500/10',
-    bracket: 'text-amber-500',
-    title: 'text-amber-400',
-    line: 'border-amber-500/30',
-    footer: 'text-amber-500/40'
+    header: 'bg-phosphor-500/10',
+    bracket: 'text-phosphor-500',
+    title: 'text-phosphor-400',
+    line: 'border-phosphor-500/30',
+    footer: 'text-phosphor-500/40'
   },
   subtle: {
-    border: 'border-amber-500/30',
+    border: 'border-phosphor-500/30',
     bg: 'bg-black/20',
     header: 'bg-black/30',
-    bracket: 'text-amber-500/60',
-    title: 'text-amber-500/80',
-    line: 'border-amber-500/20',
-    footer: 'text-amber-500/30'
+    bracket: 'text-phosphor-500/60',
+    title: 'text-phosphor-500/80',
+    line: 'border-phosphor-500/20',
+    footer: 'text-phosphor-500/30'
   },
   compact: {
-    border: 'border-amber-500/30',
+    border: 'border-phosphor-500/30',
     bg: 'bg-black/50',
     header: 'bg-black/50',
-    bracket: 'text-amber-500/70',
-    title: 'text-amber-400/90',
-    line: 'border-amber-500/20',
-    footer: 'text-amber-500/40'
+    bracket: 'text-phosphor-500/70',
+    title: 'text-phosphor-400/90',
+    line: 'border-phosphor-500/20',
+    footer: 'text-phosphor-500/40'
   },
   highlight: {
-    border: 'border-amber-400/70',
-    bg: 'bg-amber-500/5',
-    header: 'bg-amber-500/20',
-    bracket: 'text-amber-400',
+    border: 'border-phosphor-400/70',
+    bg: 'bg-phosphor-500/5',
+    header: 'bg-phosphor-500/20',
+    bracket: 'text-phosphor-400',
     title: 'text-white',
-    line: 'border-amber-400/40',
-    footer: 'text-amber-400/60'
+    line: 'border-phosphor-400/40',
+    footer: 'text-phosphor-400/60'
   },
   success: {
     border: 'border-green-500/50',
@@ -99,3 +99,22 @@ export const DENSITY_CLASSES = {
 export function getDensityClass(density = 'default') {
   return DENSITY_CLASSES[density] || '';
 }
+
+/**
+ * Text colors for charts and progress bars
+ */
+export const CHART_COLORS = {
+  amber: 'text-phosphor-500',
+  green: 'text-green-400',
+  red: 'text-red-400',
+  cyan: 'text-cyan-400'
+};
+
+/**
+ * Get a chart color class
+ * @param {string} color - Color name
+ * @returns {string} Tailwind text color class
+ */
+export function getChartColor(color = 'amber') {
+  return CHART_COLORS[color] || CHART_COLORS.amber;
+}
@@ -0,0 +1,97 @@
+/**
+ * Runtime phosphor theme switching
+ * Stores the chosen theme in localStorage and mirrors it onto
+ * `<html data-theme="...">`, which selects the palette in global.css.
+ * The pre-paint script in Layout.astro applies the stored theme before
+ * first render; this module keeps it in sync afterwards.
+ * @module themeEngine
+ */
+
+import { THEMES, DEFAULT_THEME, THEME_STORAGE_KEY } from '../config/themes.js';
+import { PersistedPreference } from './persistedPreference.js';
+
+/**
+ * Holds the active theme and notifies subscribers when it changes
+ */
+export class ThemeEngine extends PersistedPreference {
+  /**
+   * @param {Object} [config] - Configuration options
+   * @param {Array<{id: string, label: string}>} [config.themes=THEMES] - Available themes, in cycle order
+   * @param {string} [config.defaultTheme='amber'] - Theme used when nothing is stored
+   * @param {string} [config.storageKey='terminalTheme'] - localStorage key
+   * @param {HTMLElement} [config.root=document.documentElement] - Element that receives `data-theme`
+   */
+  constructor(config = {}) {
+    super({
+      themes: THEMES,
+      defaultTheme: DEFAULT_THEME,
+      storageKey: THEME_STORAGE_KEY,
+      dataKey: 'theme',
+      ...config
+    });
+
+    this._apply();
+  }
+
+  /**
+   * Theme ids in cycle order
+   * @returns {string[]}
+   */
+  get ids() {
+    return this.config.themes.map(theme => theme.id);
+  }
+
+  /**
+   * Active theme id
+   * @returns {string}
+   */
+  get value() {
+    const stored = this.stored;
+    return this.ids.includes(stored) ? stored : this.config.defaultTheme;
+  }
+
+  /**
+   * Active theme id
+   * @returns {string}
+   */
+  get current() {
+    return this.value;
+  }
+
+  /**
+   * Metadata for a theme
+   * @param {string} [id=this.current]
+   * @returns {{id: string, label: string, description: string}|undefined}
+   */
+  get(id = this.current) {
+    return this.config.themes.find(theme => theme.id === id);
+  }
+
+  /**
+   * Switch theme and remember the choice
+   * @param {string} id - Theme id from config/themes.js
+   */
+  set(id) {
+    if (!this.ids.includes(id)) {
+      throw new Error(`ThemeEngine: unknown theme "${id}"`);
+    }
+
+    this.store(id);
+  }
+
+  /**
+   * Switch to the next theme in the list
+   * @returns {string} The new theme id
+   */
+  cycle() {
+    const ids = this.ids;
+    const next = ids[(ids.indexOf(this.current) + 1) % ids.length];
+    this.set(next);
+    return next;
+  }
+}
+
+/**
+ * Shared instance used by the shell and header toggle
+ */
+export const themeEngine = new ThemeEngine();
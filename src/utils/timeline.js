@@ -0,0 +1,454 @@
+/**
+ * Animation timeline scheduler
+ * Timelines are built from steps (wait, call, tween, nested timelines) placed
+ * in sequence, in parallel or at labels, then played on a shared scheduler
+ * driven by requestAnimationFrame. Because every step is positioned in time,
+ * a timeline can be paused, resumed, sped up, seeked and cancelled as a unit,
+ * and cancelling a timeline cancels everything nested or linked under it.
+ *
+ * The scheduler takes its time from a clock, so a ManualClock can drive the
+ * same code deterministically in tests.
+ * @module timeline
+ */
+
+/**
+ * Clock backed by performance.now() and requestAnimationFrame
+ */
+export const animationFrameClock = {
+  now: () => performance.now(),
+  request: (callback) => requestAnimationFrame(callback),
+  cancel: (id) => cancelAnimationFrame(id)
+};
+
+/**
+ * Hand-cranked clock for tests: frames only run when advance() is called
+ */
+export class ManualClock {
+  constructor() {
+    this.time = 0;
+    this.nextId = 1;
+    this.callbacks = new Map();
+  }
+
+  now() {
+    return this.time;
+  }
+
+  request(callback) {
+    const id = this.nextId++;
+    this.callbacks.set(id, callback);
+    return id;
+  }
+
+  cancel(id) {
+    this.callbacks.delete(id);
+  }
+
+  /**
+   * Move time forward, running a frame every `frame` ms
+   * @param {number} ms - Total time to advance
+   * @param {number} [frame=16] - Frame length
+   */
+  advance(ms, frame = 16) {
+    const end = this.time + ms;
+    while (this.time < end) {
+      this.time = Math.min(end, this.time + frame);
+      const pending = [...this.callbacks.values()];
+      this.callbacks.clear();
+      pending.forEach(callback => callback(this.time));
+    }
+  }
+}
+
+/**
+ * Runs playing timelines once per frame, with a global time scale
+ */
+export class Scheduler {
+  /**
+   * @param {Object} [config] - Configuration options
+   * @param {Object} [config.clock=animationFrameClock] - { now, request, cancel }
+   * @param {number} [config.timeScale=1] - Speed multiplier applied to every timeline
+   */
+  constructor(config = {}) {
+    this.config = {
+      clock: animationFrameClock,
+      timeScale: 1,
+      ...config
+    };
+
+    this.timelines = new Set();
+    this.frameId = null;
+    this.lastTime = null;
+    this._frame = this._frame.bind(this);
+  }
+
+  get clock() {
+    return this.config.clock;
+  }
+
+  get timeScale() {
+    return this.config.timeScale;
+  }
+
+  /**
+   * Speed up (>1), slow down (<1) or freeze (0) everything on this scheduler
+   * @param {number} value
+   */
+  set timeScale(value) {
+    this.config.timeScale = Math.max(0, value);
+  }
+
+  /**
+   * Start driving a timeline
+   * @param {Timeline} timeline
+   */
+  add(timeline) {
+    this.timelines.add(timeline);
+    if (this.frameId === null) {
+      this.lastTime = this.clock.now();
+      this.frameId = this.clock.request(this._frame);
+    }
+  }
+
+  /**
+   * Stop driving a timeline
+   * @param {Timeline} timeline
+   */
+  remove(timeline) {
+    this.timelines.delete(timeline);
+    if (this.timelines.size === 0 && this.frameId !== null) {
+      this.clock.cancel(this.frameId);
+      this.frameId = null;
+    }
+  }
+
+  /**
+   * Advance every playing timeline by the scaled frame time
+   * @private
+   * @param {number} now - Frame timestamp
+   */
+  _frame(now) {
+    const delta = Math.max(0, now - this.lastTime) * this.timeScale;
+    this.lastTime = now;
+    this.frameId = null;
+
+    [...this.timelines].forEach(timeline => timeline._advance(delta));
+
+    if (this.timelines.size > 0 && this.frameId === null) {
+      this.frameId = this.clock.request(this._frame);
+    }
+  }
+}
+
+/**
+ * Shared scheduler used by every animation on the page
+ */
+export const scheduler = new Scheduler();
+
+export class Timeline {
+  /**
+   * @param {Object} [config] - Configuration options
+   * @param {Scheduler} [config.scheduler=scheduler] - Scheduler that plays this timeline
+   * @param {number} [config.timeScale=1] - Speed multiplier for this timeline only
+   * @param {Timeline} [config.parent] - Cancelling the parent also cancels this timeline
+   * @param {Function} [config.onComplete] - Called when playback reaches the end
+   * @param {Function} [config.onCancel] - Called when the timeline is cancelled
+   */
+  constructor(config = {}) {
+    this.config = {
+      scheduler,
+      timeScale: 1,
+      parent: null,
+      onComplete: null,
+      onCancel: null,
+      ...config
+    };
+    this.config.scheduler ??= scheduler;
+
+    this.entries = [];
+    this.labels = new Map();
+    this.links = new Set();
+    this.cursor = 0;
+    this.time = 0;
+    this.rendered = 0;
+    this.state = 'idle';
+
+    this.finished = new Promise(resolve => {
+      this._resolveFinished = resolve;
+    });
+
+    this.config.parent?.links.add(this);
+  }
+
+  /**
+   * Total length in unscaled milliseconds
+   * @returns {number}
+   */
+  get duration() {
+    return this.entries.reduce((end, entry) => Math.max(end, entry.start + entry.duration), 0);
+  }
+
+  /**
+   * Whether the timeline is advancing
+   * @returns {boolean}
+   */
+  get playing() {
+    return this.state === 'playing';
+  }
+
+  /**
+   * Speed multiplier for this timeline
+   * @returns {number}
+   */
+  get timeScale() {
+    return this.config.timeScale;
+  }
+
+  set timeScale(value) {
+    this.config.timeScale = Math.max(0, value);
+  }
+
+  /**
+   * Name the current end of the timeline so steps or seek() can refer to it
+   * @param {string} name
+   * @returns {Timeline} this
+   */
+  label(name) {
+    this.labels.set(name, this.cursor);
+    return this;
+  }
+
+  /**
+   * Add a pause
+   * @param {number} ms
+   * @param {Object} [options]
+   * @param {string|number} [options.at] - Label or time to place the step at instead of the end
+   * @returns {Timeline} this
+   */
+  wait(ms, options) {
+    return this._push({ type: 'wait', duration: Math.max(0, ms) }, options);
+  }
+
+  /**
+   * Add a callback that runs once when playback reaches it
+   * @param {Function} fn - Called with no arguments
+   * @param {Object} [options]
+   * @param {string|number} [options.at] - Label or time to place the step at
+   * @param {Function} [options.undo] - Called when seeking back past the step
+   * @returns {Timeline} this
+   */
+  call(fn, options = {}) {
+    return this._push({ type: 'call', duration: 0, fn, undo: options.undo }, options);
+  }
+
+  /**
+   * Add a step that reports its progress every frame
+   * @param {number} duration - Length in ms
+   * @param {Function} update - Called with (progress 0-1)
+   * @param {Object} [options]
+   * @param {string|number} [options.at] - Label or time to place the step at
+   * @returns {Timeline} this
+   */
+  tween(duration, update, options) {
+    return this._push({ type: 'tween', duration: Math.max(0, duration), update }, options);
+  }
+
+  /**
+   * Nest a timeline; it runs as part of this one and is cancelled with it
+   * The child's timeScale when it is added sets how fast it runs here, so
+   * a child at 2x takes half its own duration of this timeline's time.
+   * @param {Timeline} timeline - Fully built child timeline
+   * @param {Object} [options]
+   * @param {string|number} [options.at] - Label or time to place the child at
+   * @returns {Timeline} this
+   */
+  add(timeline, options) {
+    this.links.add(timeline);
+    const scale = timeline.timeScale;
+    // A child scaled to 0 never advances, so it never finishes either
+    const duration = scale > 0 ? timeline.duration / scale : Infinity;
+    return this._push({ type: 'timeline', duration, scale, timeline }, options);
+  }
+
+  /**
+   * Nest several timelines one after another
+   * @param {...Timeline} timelines
+   * @returns {Timeline} this
+   */
+  sequence(...timelines) {
+    timelines.forEach(timeline => this.add(timeline));
+    return this;
+  }
+
+  /**
+   * Nest several timelines that start together; the step lasts as long as the longest
+   * @param {...Timeline} timelines
+   * @returns {Timeline} this
+   */
+  parallel(...timelines) {
+    const start = this.cursor;
+    timelines.forEach(timeline => this.add(timeline, { at: start }));
+    return this;
+  }
+
+  /**
+   * Start or restart playback from the current time
+   * @returns {Timeline} this
+   */
+  play() {
+    if (this.state === 'cancelled' || this.state === 'complete') return this;
+    this.state = 'playing';
+    this._render(this.time);
+    if (this.time >= this.duration) {
+      this._complete();
+    } else {
+      this.config.scheduler.add(this);
+    }
+    return this;
+  }
+
+  /**
+   * Freeze playback
+   * @returns {Timeline} this
+   */
+  pause() {
+    if (this.state !== 'playing') return this;
+    this.state = 'paused';
+    this.config.scheduler.remove(this);
+    return this;
+  }
+
+  /**
+   * Continue after pause()
+   * @returns {Timeline} this
+   */
+  resume() {
+    return this.state === 'paused' ? this.play() : this;
+  }
+
+  /**
+   * Jump to a label or time; steps passed over fire in order, steps seeked back over are undone
+   * @param {string|number} position - Label name or time in ms
+   * @returns {Timeline} this
+   */
+  seek(position) {
+    if (this.state === 'cancelled' || this.state === 'complete') return this;
+    this.time = Math.min(this.duration, Math.max(0, this._resolve(position)));
+    this._render(this.time);
+    if (this.state === 'playing' && this.time >= this.duration) this._complete();
+    return this;
+  }
+
+  /**
+   * Stop for good, along with every nested and linked timeline
+   * `finished` resolves with false.
+   */
+  cancel() {
+    if (this.state === 'cancelled' || this.state === 'complete') return;
+    this.state = 'cancelled';
+    this.config.scheduler.remove(this);
+    this.links.forEach(timeline => timeline.cancel());
+    this.config.parent?.links.delete(this);
+    this.config.onCancel?.();
+    this._resolveFinished(false);
+  }
+
+  /**
+   * Scheduler hook: move forward by a frame
+   * @private
+   * @param {number} delta - Frame time after the global time scale
+   */
+  _advance(delta) {
+    this.time = Math.min(this.duration, this.time + delta * this.timeScale);
+    this._render(this.time);
+    if (this.state === 'playing' && this.time >= this.duration) this._complete();
+  }
+
+  /**
+   * Bring every step in line with a time
+   * Steps run in order going forward and are undone in reverse order going back.
+   * @private
+   * @param {number} time - Local time in ms
+   */
+  _render(time) {
+    const backward = time < this.rendered;
+    this.rendered = time;
+    this.time = Math.min(this.duration, Math.max(0, time));
+
+    const entries = backward ? [...this.entries].reverse() : this.entries;
+    for (const entry of entries) {
+      if (this.state === 'cancelled') return;
+      const local = time - entry.start;
+
+      if (entry.type === 'call') {
+        if (local >= 0 && !entry.done) {
+          entry.done = true;
+          entry.fn();
+        } else if (local < 0 && entry.done) {
+          entry.done = false;
+          entry.undo?.();
+        }
+      } else if (entry.type === 'tween') {
+        if (local < 0 && !entry.started) continue;
+        if (local >= entry.duration && entry.done) continue;
+        const progress = entry.duration === 0 ? (local >= 0 ? 1 : 0) : Math.min(1, Math.max(0, local / entry.duration));
+        entry.started = local >= 0;
+        entry.done = progress === 1;
+        entry.update(progress);
+      } else if (entry.type === 'timeline') {
+        if (local < 0 && !entry.started) continue;
+        if (local >= entry.duration && entry.done) continue;
+        entry.started = local >= 0;
+        entry.done = local >= entry.duration;
+        entry.timeline._render(local * entry.scale);
+        if (entry.done && entry.timeline.state === 'idle') entry.timeline._complete();
+      }
+    }
+  }
+
+  /**
+   * Finish playback and release nested timelines
+   * @private
+   */
+  _complete() {
+    this.state = 'complete';
+    this.config.scheduler.remove(this);
+    this.config.parent?.links.delete(this);
+    this.config.onComplete?.();
+    this._resolveFinished(true);
+  }
+
+  /**
+   * Add an entry at the cursor or at an explicit position
+   * @private
+   */
+  _push(entry, options = {}) {
+    const start = options.at === undefined ? this.cursor : this._resolve(options.at);
+    this.entries.push({ ...entry, start, started: false, done: false });
+    this.cursor = Math.max(this.cursor, start + entry.duration);
+    return this;
+  }
+
+  /**
+   * Label name or time to a time
+   * @private
+   */
+  _resolve(position) {
+    if (typeof position === 'number') return position;
+    if (!this.labels.has(position)) {
+      throw new Error(`Timeline: unknown label "${position}"`);
+    }
+    return this.labels.get(position);
+  }
+}
+
+/**
+ * Wait on the shared scheduler, e.g. `await delay(300)`
+ * Follows the global time scale, unlike setTimeout.
+ * @param {number} ms
+ * @param {Object} [config] - Timeline options (scheduler, parent)
+ * @returns {Promise<boolean>} True when the wait ran out, false if cancelled
+ */
+export function delay(ms, config) {
+  return new Timeline(config).wait(ms).play().finished;
+}
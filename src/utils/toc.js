@@ -0,0 +1,40 @@
+/**
+ * Table of contents built from rendered markdown headings
+ * @module toc
+ */
+
+/**
+ * Number headings outline-style ("1", "1.2", "1.2.3")
+ * Headings outside the depth range are dropped; a heading that skips a
+ * level (## then ####) is nested one level down rather than leaving a gap.
+ * @param {Array<{depth: number, slug: string, text: string}>} headings - From `render()`
+ * @param {Object} [options]
+ * @param {number} [options.minDepth=2] - Shallowest heading to include (h1 is the post title)
+ * @param {number} [options.maxDepth=4] - Deepest heading to include
+ * @returns {Array<{slug: string, text: string, number: string, level: number}>} Entries in document order
+ */
+export function buildToc(headings, { minDepth = 2, maxDepth = 4 } = {}) {
+  const counters = [];
+  const depths = [];
+
+  return headings
+    .filter(heading => heading.depth >= minDepth && heading.depth <= maxDepth)
+    .map(heading => {
+      // Pop back to the nearest shallower parent
+      while (depths.length && depths[depths.length - 1] >= heading.depth) {
+        depths.pop();
+      }
+
+      const level = depths.length;
+      counters.length = level + 1;
+      counters[level] = (counters[level] || 0) + 1;
+      depths.push(heading.depth);
+
+      return {
+        slug: heading.slug,
+        text: heading.text,
+        number: counters.join('.'),
+        level
+      };
+    });
+}
@@ -0,0 +1,172 @@
+/**
+ * Heading anchors and scroll-spy for the blog viewer's INDEX panel
+ * @module tocController
+ */
+
+import { ListenerBag } from './listeners.js';
+
+/**
+ * Decorates content headings with anchor/copy-link buttons and highlights
+ * the INDEX entry for the section currently in view
+ */
+export class TocController {
+  /**
+   * @param {Object} config - Configuration options
+   * @param {HTMLElement} config.content - Element containing the rendered headings
+   * @param {ParentNode} [config.index=document] - Where to look for `[data-toc-link]` entries
+   * @param {string} [config.headingSelector='h2[id], h3[id], h4[id]'] - Headings to decorate and track
+   * @param {string} [config.activeClass='is-active'] - Class toggled on the current entry
+   * @param {string} [config.rootMargin='0px 0px -70% 0px'] - Observer margin; a heading counts as current once it reaches the top 30% of the viewport
+   * @param {number} [config.copiedDuration=1500] - How long the copy button shows its confirmation (ms)
+   */
+  constructor(config) {
+    this.config = {
+      index: document,
+      headingSelector: 'h2[id], h3[id], h4[id]',
+      activeClass: 'is-active',
+      rootMargin: '0px 0px -70% 0px',
+      copiedDuration: 1500,
+      ...config
+    };
+
+    if (!this.config.content) {
+      throw new Error('TocController: content element is required');
+    }
+
+    this.headings = [];
+    this.activeSlug = null;
+    this.observer = null;
+    this.listeners = new ListenerBag();
+    this.timers = new Set();
+  }
+
+  /**
+   * Decorate headings and start tracking scroll position
+   */
+  init() {
+    this.headings = [...this.config.content.querySelectorAll(this.config.headingSelector)];
+    this.headings.forEach(heading => this._decorate(heading));
+
+    if (!this.headings.length || !('IntersectionObserver' in window)) return;
+
+    // Headings currently above the observer's bottom margin
+    const passed = new Set();
+
+    this.observer = new IntersectionObserver((entries) => {
+      entries.forEach(entry => {
+        if (entry.isIntersecting || entry.boundingClientRect.top < 0) {
+          passed.add(entry.target);
+        } else {
+          passed.delete(entry.target);
+        }
+      });
+
+      const current = [...this.headings].reverse().find(heading => passed.has(heading)) || this.headings[0];
+      this.setActive(current.id);
+    }, { rootMargin: this.config.rootMargin });
+
+    this.headings.forEach(heading => this.observer.observe(heading));
+  }
+
+  /**
+   * Highlight the INDEX entries for a heading
+   * @param {string} slug - Heading id
+   */
+  setActive(slug) {
+    if (slug === this.activeSlug) return;
+    this.activeSlug = slug;
+
+    this.config.index.querySelectorAll('[data-toc-link]').forEach(link => {
+      const isActive = link.dataset.tocLink === slug;
+      link.classList.toggle(this.config.activeClass, isActive);
+      if (isActive) {
+        link.setAttribute('aria-current', 'location');
+      } else {
+        link.removeAttribute('aria-current');
+      }
+    });
+  }
+
+  /**
+   * Absolute URL of a heading
+   * @param {string} slug - Heading id
+   * @returns {string}
+   */
+  linkFor(slug) {
+    const url = new URL(window.location.href);
+    url.hash = slug;
+    return url.href;
+  }
+
+  /**
+   * Copy a heading's URL to the clipboard
+   * @param {string} slug - Heading id
+   * @returns {Promise<boolean>} Whether the copy succeeded
+   */
+  async copyLink(slug) {
+    try {
+      await navigator.clipboard.writeText(this.linkFor(slug));
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Stop observing and remove everything added by init()
+   */
+  destroy() {
+    this.observer?.disconnect();
+    this.observer = null;
+
+    this.listeners.clear();
+
+    this.timers.forEach(timer => clearTimeout(timer));
+    this.timers.clear();
+
+    this.config.content.querySelectorAll('[data-heading-tools]').forEach(tools => tools.remove());
+    this.headings = [];
+    this.activeSlug = null;
+  }
+
+  /**
+   * Append anchor and copy-link buttons to a heading
+   * @private
+   * @param {HTMLElement} heading
+   */
+  _decorate(heading) {
+    const slug = heading.id;
+    const label = heading.textContent.trim();
+
+    const tools = document.createElement('span');
+    tools.className = 'heading-tools';
+    tools.dataset.headingTools = '';
+
+    const anchor = document.createElement('a');
+    anchor.href = `#${slug}`;
+    anchor.className = 'heading-anchor';
+    anchor.textContent = '#';
+    anchor.setAttribute('aria-label', `Link to section: ${label}`);
+
+    const copy = document.createElement('button');
+    copy.type = 'button';
+    copy.className = 'heading-copy';
+    copy.textContent = '[COPY]';
+    copy.setAttribute('aria-label', `Copy link to section: ${label}`);
+
+    const handler = async () => {
+      const copied = await this.copyLink(slug);
+      copy.textContent = copied ? '[COPIED]' : '[FAILED]';
+
+      const timer = setTimeout(() => {
+        copy.textContent = '[COPY]';
+        this.timers.delete(timer);
+      }, this.config.copiedDuration);
+      this.timers.add(timer);
+    };
+    this.listeners.add(copy, 'click', handler);
+
+    tools.append(anchor, copy);
+    heading.append(tools);
+  }
+}
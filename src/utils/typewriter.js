@@ -1,74 +1,355 @@
 /**
  * Typewriter effect utility for terminal-style text animations
+ * A TypingScript queues typing, deleting, pauses, corrected typos and new
+ * prompt lines, then compiles them to a timeline of single keystrokes.
+ * Inline markup is typed into real elements, so spans keep their classes,
+ * and `data-text` follows every keystroke for the glitch effect.
+ * Text appears at once when reduced motion is preferred.
  * @module typewriter
  */
 
+import { motionPreference } from './motionPreference.js';
+import { resolveRandom } from './random.js';
+import { Timeline } from './timeline.js';
+
 /**
  * Default typewriter configuration
  */
 const DEFAULT_CONFIG = {
   delay: 80,
+  deleteDelay: 40,
   startDelay: 0,
+  // Each keystroke's delay varies by up to ± this fraction
+  jitter: 0.35,
+  // Extra delay multiplier after . , ; : ! ?
+  punctuationPause: 3,
+  // How long a typo stays visible before it is corrected (ms)
+  typoPause: 300,
+  prompt: '',
+  lineClass: 'typing-line',
   cursorBlink: true,
+  instant: null,
+  seed: null,
+  random: null,
   onCharacter: null,
   onComplete: null
 };
 
+const PUNCTUATION = /[.,;:!?]/;
+
+/**
+ * Whether a call should skip the animation
+ * @param {Object} config - Merged typewriter config
+ * @returns {boolean}
+ */
+function isInstant(config) {
+  return config.instant ?? motionPreference.reduced;
+}
+
+/**
+ * Parse markup into detached nodes
+ * @param {string} markup
+ * @returns {Node[]}
+ */
+function parseMarkup(markup) {
+  const template = document.createElement('template');
+  template.innerHTML = markup;
+  return [...template.content.childNodes];
+}
+
+/**
+ * Queue of typing actions played back on a timeline
+ */
+export class TypingScript {
+  /**
+   * @param {HTMLElement} element - Element to type into; existing content is kept
+   * @param {Object} [options] - Configuration options
+   * @param {number} [options.delay=80] - Average delay between keystrokes in ms
+   * @param {number} [options.deleteDelay=40] - Delay between backspaces in ms
+   * @param {number} [options.jitter=0.35] - Per-keystroke variation, 0 for a fixed rate
+   * @param {number} [options.punctuationPause=3] - Delay multiplier after punctuation
+   * @param {number} [options.typoPause=300] - Pause before a typo is corrected in ms
+   * @param {string} [options.prompt=''] - Default prompt prefix for line(); may contain markup
+   * @param {string} [options.lineClass='typing-line'] - Class for elements created by line()
+   * @param {boolean} [options.instant] - Skip the animation; defaults to the reduced-motion preference
+   * @param {number|string} [options.seed] - Seed for a reproducible cadence
+   * @param {Function} [options.random] - Random source to use instead of a seed
+   * @param {Function} [options.onCharacter] - Called with (char, index, element) after each typed character
+   * @param {Function} [options.onComplete] - Called with (element) when the script finishes
+   * @param {Scheduler} [options.scheduler] - Scheduler to play on (default: shared instance)
+   * @param {Timeline} [options.parent] - Timeline whose cancellation also cancels typing
+   */
+  constructor(element, options = {}) {
+    if (!element) {
+      throw new Error('TypingScript: element is required');
+    }
+
+    this.config = { ...DEFAULT_CONFIG, ...options };
+    this.element = element;
+    this.container = element;
+    this.instant = isInstant(this.config);
+    this.random = resolveRandom(this.config);
+    this.typed = 0;
+
+    this.timeline = new Timeline({
+      scheduler: this.config.scheduler,
+      parent: this.config.parent,
+      onComplete: () => this.config.onComplete?.(element)
+    });
+  }
+
+  /**
+   * Type plain text into the current line
+   * @param {string} text
+   * @returns {TypingScript} this
+   */
+  type(text) {
+    this._typeText(String(text), this.container);
+    return this;
+  }
+
+  /**
+   * Type markup into the current line, character by character inside its elements
+   * @param {string} markup - e.g. 'status <span class="text-green-400">[ OK ]</span>'
+   * @returns {TypingScript} this
+   */
+  html(markup) {
+    this._typeNodes(parseMarkup(markup), this.container);
+    return this;
+  }
+
+  /**
+   * Backspace over the last characters (prompts are never deleted)
+   * @param {number} count
+   * @returns {TypingScript} this
+   */
+  delete(count) {
+    for (let i = 0; i < count; i++) {
+      let removed = null;
+      this._keystroke(
+        () => {
+          const node = this._lastTextNode();
+          if (!node) return;
+          removed = { node, char: node.data.slice(-1) };
+          node.data = node.data.slice(0, -1);
+        },
+        () => {
+          if (removed) removed.node.data += removed.char;
+          removed = null;
+        },
+        this.config.deleteDelay
+      );
+    }
+    return this;
+  }
+
+  /**
+   * Do nothing for a while
+   * @param {number} ms
+   * @returns {TypingScript} this
+   */
+  pause(ms) {
+    if (!this.instant) this.timeline.wait(ms);
+    return this;
+  }
+
+  /**
+   * Type a mistake, notice it, backspace to where it went wrong and finish correctly
+   * @param {string} typed - What gets typed first, e.g. 'teh'
+   * @param {string} intended - What it should have been, e.g. 'the'
+   * @returns {TypingScript} this
+   */
+  typo(typed, intended) {
+    let common = 0;
+    while (common < typed.length && typed[common] === intended[common]) common++;
+
+    return this
+      .type(typed)
+      .pause(this.config.typoPause)
+      .delete(typed.length - common)
+      .type(intended.slice(common));
+  }
+
+  /**
+   * Start a new line, show its prompt at once and type the text after it
+   * @param {string} [text=''] - Plain text to type
+   * @param {Object} [options]
+   * @param {string} [options.prompt] - Prompt prefix (markup allowed); defaults to config.prompt
+   * @param {boolean} [options.html=false] - Treat text as markup
+   * @returns {TypingScript} this
+   */
+  line(text = '', { prompt = this.config.prompt, html = false } = {}) {
+    const line = document.createElement('div');
+    line.className = this.config.lineClass;
+
+    if (prompt) {
+      const prefix = document.createElement('span');
+      prefix.dataset.typingPrompt = '';
+      prefix.append(...parseMarkup(prompt));
+      line.append(prefix);
+    }
+
+    this._attach(line, this.element);
+    this.container = line;
+
+    return html ? this.html(text) : this.type(text);
+  }
+
+  /**
+   * Start playback
+   * @returns {Timeline} The playing timeline
+   */
+  play() {
+    return this.timeline.play();
+  }
+
+  /**
+   * Add one keystroke: an undoable DOM change followed by a delay
+   * @private
+   * @param {Function} apply
+   * @param {Function} undo
+   * @param {number} delay - Base delay after this keystroke
+   * @param {string} [char] - Character typed, for cadence
+   */
+  _keystroke(apply, undo, delay, char = '') {
+    this.timeline.call(() => {
+      apply();
+      this._sync();
+    }, {
+      undo: () => {
+        undo();
+        this._sync();
+      }
+    });
+
+    if (!this.instant) this.timeline.wait(this._cadence(delay, char));
+  }
+
+  /**
+   * Human-like delay: jittered, longer after punctuation
+   * @private
+   * @param {number} delay - Base delay
+   * @param {string} char - Character just typed
+   * @returns {number}
+   */
+  _cadence(delay, char) {
+    const { jitter, punctuationPause } = this.config;
+    const varied = delay * (1 + jitter * (this.random() * 2 - 1));
+    return PUNCTUATION.test(char) ? varied * punctuationPause : varied;
+  }
+
+  /**
+   * Add a node to a parent as an undoable step with no delay
+   * @private
+   */
+  _attach(node, parent) {
+    this.timeline.call(() => {
+      parent.append(node);
+      this._sync();
+    }, {
+      undo: () => {
+        node.remove();
+        this._sync();
+      }
+    });
+  }
+
+  /**
+   * Queue a text node and one keystroke per character
+   * @private
+   */
+  _typeText(text, parent) {
+    if (!text) return;
+
+    const node = document.createTextNode('');
+    this._attach(node, parent);
+
+    [...text].forEach(char => {
+      const index = this.typed++;
+      this._keystroke(
+        () => {
+          node.data += char;
+          this.config.onCharacter?.(char, index, this.element);
+        },
+        () => {
+          node.data = node.data.slice(0, -char.length);
+        },
+        this.config.delay,
+        char
+      );
+    });
+  }
+
+  /**
+   * Queue parsed markup: elements are cloned empty and filled as their text is typed
+   * @private
+   */
+  _typeNodes(nodes, parent) {
+    nodes.forEach(node => {
+      if (node.nodeType === Node.TEXT_NODE) {
+        this._typeText(node.data, parent);
+      } else if (node.nodeType === Node.ELEMENT_NODE) {
+        const clone = node.cloneNode(false);
+        this._attach(clone, parent);
+        this._typeNodes([...node.childNodes], clone);
+      }
+    });
+  }
+
+  /**
+   * Last non-empty text node outside prompts
+   * @private
+   * @returns {Text|null}
+   */
+  _lastTextNode() {
+    const walker = document.createTreeWalker(this.element, NodeFilter.SHOW_TEXT, {
+      acceptNode: (node) => node.parentElement?.closest('[data-typing-prompt]')
+        ? NodeFilter.FILTER_REJECT
+        : NodeFilter.FILTER_ACCEPT
+    });
+
+    let last = null;
+    while (walker.nextNode()) {
+      if (walker.currentNode.data.length > 0) last = walker.currentNode;
+    }
+    return last;
+  }
+
+  /**
+   * Keep data-text in sync for glitch effects
+   * @private
+   */
+  _sync() {
+    this.element.setAttribute('data-text', this.element.textContent);
+  }
+}
+
+/**
+ * Build the typing animation as a timeline step
+ * @param {string} text - The text to type out
+ * @param {HTMLElement} element - The target element
+ * @param {Object} [options] - Same options as TypingScript
+ * @returns {Timeline} Unstarted timeline; call play() or nest it with add()
+ */
+export function typewriterTimeline(text, element, options = {}) {
+  const script = new TypingScript(element, options);
+  return script.pause(script.config.startDelay).type(text).timeline;
+}
+
 /**
  * Creates a typewriter effect on an HTML element
  * @param {string} text - The text to type out
  * @param {HTMLElement} element - The target element
- * @param {Object} options - Configuration options
+ * @param {Object} options - Configuration options (see TypingScript)
  * @param {number} [options.delay=80] - Delay between characters in ms
  * @param {number} [options.startDelay=0] - Delay before starting in ms
+ * @param {boolean} [options.instant] - Skip the animation; defaults to the reduced-motion preference
  * @param {Function} [options.onCharacter] - Callback fired after each character
  * @param {Function} [options.onComplete] - Callback fired when typing completes
  * @returns {Promise<void>} Resolves when typing animation completes
  */
 export async function typeWriter(text, element, options = {}) {
-  const config = { ...DEFAULT_CONFIG, ...options };
-  
-  if (!element) {
-    throw new Error('typeWriter: element is required');
-  }
-  
-  if (!text) {
-    return Promise.resolve();
-  }
-  
-  // Wait for start delay
-  if (config.startDelay > 0) {
-    await new Promise(resolve => setTimeout(resolve, config.startDelay));
-  }
-  
-  return new Promise((resolve) => {
-    let index = 0;
-    
-    const interval = setInterval(() => {
-      if (index < text.length) {
-        element.textContent += text[index];
-        
-        // Update data-text attribute for glitch effects
-        element.setAttribute('data-text', element.textContent);
-        
-        // Fire character callback
-        if (config.onCharacter) {
-          config.onCharacter(text[index], index, element);
-        }
-        
-        index++;
-      } else {
-        clearInterval(interval);
-        
-        // Fire completion callback
-        if (config.onComplete) {
-          config.onComplete(element);
-        }
-        
-        resolve();
-      }
-    }, config.delay);
-  });
+  await typeWriterCancellable(text, element, options).promise;
 }
 
 /**
@@ -76,73 +357,27 @@ export async function typeWriter(text, element, options = {}) {
  * @param {string} text - The text to type out
  * @param {HTMLElement} element - The target element
  * @param {Object} options - Configuration options (same as typeWriter)
- * @returns {Object} Object with cancel method and promise
+ * @returns {{promise: Promise<void>, cancel: Function, timeline: Timeline}}
+ *   The promise rejects when cancelled
  */
 export function typeWriterCancellable(text, element, options = {}) {
-  const config = { ...DEFAULT_CONFIG, ...options };
-  let cancelled = false;
-  let intervalId = null;
-  
-  const promise = new Promise((resolve, reject) => {
-    if (!element) {
-      reject(new Error('typeWriterCancellable: element is required'));
-      return;
-    }
-    
-    if (!text) {
-      resolve();
-      return;
-    }
-    
-    const startTyping = () => {
-      let index = 0;
-      
-      intervalId = setInterval(() => {
-        if (cancelled) {
-          clearInterval(intervalId);
-          reject(new Error('Typewriter cancelled'));
-          return;
-        }
-        
-        if (index < text.length) {
-          element.textContent += text[index];
-          element.setAttribute('data-text', element.textContent);
-          
-          if (config.onCharacter) {
-            config.onCharacter(text[index], index, element);
-          }
-          
-          index++;
-        } else {
-          clearInterval(intervalId);
-          
-          if (config.onComplete) {
-            config.onComplete(element);
-          }
-          
-          resolve();
-        }
-      }, config.delay);
+  if (!element) {
+    return {
+      promise: Promise.reject(new Error('typeWriter: element is required')),
+      cancel: () => {},
+      timeline: null
     };
-    
-    // Wait for start delay
-    if (config.startDelay > 0) {
-      setTimeout(() => {
-        if (!cancelled) startTyping();
-      }, config.startDelay);
-    } else {
-      startTyping();
-    }
+  }
+
+  const timeline = typewriterTimeline(text || '', element, options).play();
+  const promise = timeline.finished.then((completed) => {
+    if (!completed) throw new Error('Typewriter cancelled');
   });
-  
+
   return {
     promise,
-    cancel: () => {
-      cancelled = true;
-      if (intervalId) {
-        clearInterval(intervalId);
-      }
-    }
+    cancel: () => timeline.cancel(),
+    timeline
   };
 }
 
@@ -155,7 +390,7 @@ export function instantText(text, element) {
   if (!element) {
     throw new Error('instantText: element is required');
   }
-  
+
   element.textContent = text;
   element.setAttribute('data-text', text);
 }
@@ -0,0 +1,57 @@
+import { test } from 'vitest';
+import assert from 'node:assert/strict';
+import { countByMonth, heatmap, lineChart, resample, sparkline } from '../src/utils/asciiCharts.js';
+
+test('resample reduces each bucket by mean, sum or max', () => {
+  const values = [1, 2, 3, 4, 5, 6];
+  assert.deepEqual(resample(values, 3), [1.5, 3.5, 5.5]);
+  assert.deepEqual(resample(values, 3, 'sum'), [3, 7, 11]);
+  assert.deepEqual(resample(values, 3, 'max'), [2, 4, 6]);
+});
+
+test('resample splits uneven buckets without dropping points', () => {
+  assert.deepEqual(resample([1, 2, 3, 4, 5], 2, 'sum'), [3, 12]);
+});
+
+test('resample returns a copy when the series already fits', () => {
+  const values = [1, 2];
+  const result = resample(values, 5);
+  assert.deepEqual(result, values);
+  assert.notEqual(result, values);
+  assert.deepEqual(resample(values), values);
+});
+
+test('a flat series sits mid-height, or at the bottom when it is zero', () => {
+  assert.equal(sparkline([3, 3, 3]), '▄▄▄');
+  assert.equal(sparkline([0, 0]), '▁▁');
+  assert.deepEqual(lineChart([5, 5], { height: 3 }).map(line => line.slice(-2)), ['  ', '──', '  ']);
+});
+
+test('heatmap leaves the days after a partial last week blank', () => {
+  assert.deepEqual(heatmap([0, 1, 2, 3, 4, 5, 6, 7, 8, 0]), [
+    '·█',
+    '░█',
+    '░·',
+    '▒ ',
+    '▒ ',
+    '▓ ',
+    '▓ '
+  ]);
+});
+
+test('countByMonth counts and labels months across a year boundary', () => {
+  const dates = [
+    '2025-10-31T23:59:59Z',
+    '2025-11-30T12:00:00Z',
+    '2025-12-01T00:00:00Z',
+    '2025-12-31T23:59:59Z',
+    '2026-01-01T00:00:00Z',
+    '2026-02-28T12:00:00Z',
+    '2026-03-01T00:00:00Z'
+  ].map(date => new Date(date));
+
+  assert.deepEqual(countByMonth(dates, { months: 4, end: new Date('2026-02-15T00:00:00Z') }), {
+    values: [1, 2, 1, 1],
+    labels: ['NOV', 'DEC', 'JAN', 'FEB']
+  });
+});
@@ -0,0 +1,57 @@
+import { test } from 'vitest';
+import assert from 'node:assert/strict';
+import { cardanoTime, formatVMSDate, formatVMSDateTime, formatVMSTime, unixTime } from '../src/utils/dates.js';
+
+test('cardanoTime starts the Shelley era at epoch 208', () => {
+  assert.deepEqual(cardanoTime(new Date('2020-07-29T21:44:51Z')), {
+    epoch: 208,
+    slot: 4492800,
+    epochSlot: 0,
+    epochLength: 432000
+  });
+});
+
+test('cardanoTime counts 432000 one-second slots per Shelley epoch', () => {
+  assert.deepEqual(cardanoTime(new Date('2023-12-31T21:44:51Z')), {
+    epoch: 458,
+    slot: 112492800,
+    epochSlot: 0,
+    epochLength: 432000
+  });
+  assert.equal(cardanoTime(new Date('2023-12-31T21:44:50Z')).epochSlot, 431999);
+});
+
+test('cardanoTime uses 20-second Byron slots before the hard fork', () => {
+  assert.deepEqual(cardanoTime(new Date('2017-09-23T21:44:51Z')), {
+    epoch: 0,
+    slot: 0,
+    epochSlot: 0,
+    epochLength: 21600
+  });
+  assert.deepEqual(cardanoTime(new Date('2020-07-29T21:44:31Z')), {
+    epoch: 207,
+    slot: 4492799,
+    epochSlot: 21599,
+    epochLength: 21600
+  });
+});
+
+test('cardanoTime is null before the chain started', () => {
+  assert.equal(cardanoTime(new Date('2017-09-23T21:44:50Z')), null);
+});
+
+test('VMS dates pad the day and use upper-case month names', () => {
+  const date = new Date('2026-01-07T16:13:07Z');
+  assert.equal(formatVMSDate(date), '07-JAN-2026');
+  assert.equal(formatVMSTime(date), '16:13:07');
+  assert.equal(formatVMSDateTime(date), '07-JAN-2026 16:13:07');
+  assert.equal(formatVMSDate(new Date('2025-12-31T23:59:59Z')), '31-DEC-2025');
+});
+
+test('frontmatter dates at UTC midnight keep their day', () => {
+  assert.equal(formatVMSDate(new Date('2026-03-01')), '01-MAR-2026');
+});
+
+test('unixTime drops milliseconds', () => {
+  assert.equal(unixTime(new Date('1970-01-01T00:00:01.999Z')), 1);
+});
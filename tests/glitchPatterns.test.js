@@ -0,0 +1,105 @@
+import { test } from 'vitest';
+import assert from 'node:assert/strict';
+import {
+  bandPolygon,
+  getGlitchPatternNames,
+  getRandomGlitchPattern,
+  registerGlitchPattern,
+  unregisterGlitchPattern
+} from '../src/utils/glitchPatterns.js';
+import { createSeededRandom, hashSeed, resolveRandom } from '../src/utils/random.js';
+
+const LENGTH = /^(0|-?\d+(?:\.\d+)?%)$/;
+
+/**
+ * Parse a clip-path polygon() into [x, y] percentages, failing on anything malformed
+ * @param {string} value
+ * @returns {number[][]}
+ */
+function parsePolygon(value) {
+  const match = /^polygon\((.+)\)$/.exec(value);
+  assert.ok(match, `not a polygon(): ${value}`);
+
+  const points = match[1].split(',').map(point => {
+    const coords = point.trim().split(/\s+/);
+    assert.equal(coords.length, 2, `point needs x and y: "${point}"`);
+    coords.forEach(coord => assert.match(coord, LENGTH, `bad length in ${value}`));
+    return coords.map(coord => parseFloat(coord));
+  });
+
+  assert.ok(points.length >= 3, `polygon needs at least three points: ${value}`);
+  return points;
+}
+
+const INTENSITIES = [0, 0.5, 1];
+
+test('the built-in patterns are registered', () => {
+  assert.deepEqual(getGlitchPatternNames(), ['hsync', 'convergence', 'vhold', 'rf', 'interlace']);
+});
+
+test('every registered pattern produces valid polygons inside the element box', () => {
+  for (const name of getGlitchPatternNames()) {
+    for (const intensity of INTENSITIES) {
+      for (let seed = 0; seed < 50; seed++) {
+        const { pattern } = getRandomGlitchPattern({ pattern: name, intensity, seed });
+        for (const layer of ['before', 'after']) {
+          parsePolygon(pattern[layer]).forEach(([x, y]) => {
+            assert.ok(x >= 0 && x <= 100, `${name} ${layer} x=${x} out of range`);
+            assert.ok(y >= 0 && y <= 100, `${name} ${layer} y=${y} out of range`);
+          });
+        }
+      }
+    }
+  }
+});
+
+test('bandPolygon clamps bands to the element box', () => {
+  assert.equal(bandPolygon([-5, 110]), 'polygon(0 0%, 100% 0%, 100% 100%, 0 100%)');
+  assert.equal(bandPolygon([10.123, 20]), 'polygon(0 10.12%, 100% 10.12%, 100% 20%, 0 20%)');
+});
+
+test('the same seed gives the same sequence', () => {
+  const a = createSeededRandom(42);
+  const b = createSeededRandom(42);
+  const first = Array.from({ length: 20 }, a);
+  assert.deepEqual(Array.from({ length: 20 }, b), first);
+  first.forEach(value => assert.ok(value >= 0 && value < 1));
+
+  assert.notDeepEqual(Array.from({ length: 20 }, createSeededRandom(43)), first);
+  assert.deepEqual(
+    Array.from({ length: 5 }, createSeededRandom('header')),
+    Array.from({ length: 5 }, createSeededRandom(hashSeed('header')))
+  );
+});
+
+test('the same seed gives the same glitch frames', () => {
+  const frames = (seed) => {
+    const random = createSeededRandom(seed);
+    return Array.from({ length: 10 }, () => getRandomGlitchPattern({ random }));
+  };
+
+  assert.deepEqual(frames('intro'), frames('intro'));
+  assert.deepEqual(getRandomGlitchPattern({ seed: 7 }), getRandomGlitchPattern({ seed: 7 }));
+  assert.notDeepEqual(frames('intro'), frames('header'));
+});
+
+test('resolveRandom prefers an explicit generator over a seed', () => {
+  const random = () => 0.25;
+  assert.equal(resolveRandom({ random, seed: 1 }), random);
+  assert.equal(resolveRandom(), Math.random);
+  assert.equal(resolveRandom({ seed: 0 })(), createSeededRandom(0)());
+});
+
+test('registered patterns can be added, used and removed', () => {
+  registerGlitchPattern('test-full', () => ({ before: bandPolygon([0, 50]), after: bandPolygon([50, 100]) }));
+  try {
+    assert.ok(getGlitchPatternNames().includes('test-full'));
+    assert.equal(getRandomGlitchPattern({ pattern: 'test-full', seed: 1 }).name, 'test-full');
+  } finally {
+    unregisterGlitchPattern('test-full');
+  }
+
+  assert.ok(!getGlitchPatternNames().includes('test-full'));
+  assert.throws(() => getRandomGlitchPattern({ pattern: 'test-full' }), /unknown pattern/);
+  assert.throws(() => registerGlitchPattern('broken'), /needs a generator function/);
+});
@@ -0,0 +1,51 @@
+import { test } from 'vitest';
+import assert from 'node:assert/strict';
+import { ListenerBag } from '../src/utils/listeners.js';
+
+function fire(target, type) {
+  target.dispatchEvent(new Event(type));
+}
+
+test('clear removes every listener', () => {
+  const bag = new ListenerBag();
+  const a = new EventTarget();
+  const b = new EventTarget();
+  const calls = [];
+
+  bag.add(a, 'ping', () => calls.push('a'));
+  bag.add(b, 'ping', () => calls.push('b'));
+  fire(a, 'ping');
+  fire(b, 'ping');
+  bag.clear();
+  fire(a, 'ping');
+  fire(b, 'ping');
+
+  assert.deepEqual(calls, ['a', 'b']);
+  assert.equal(bag.entries.length, 0);
+});
+
+test('the returned function removes one listener', () => {
+  const bag = new ListenerBag();
+  const target = new EventTarget();
+  const calls = [];
+
+  const remove = bag.add(target, 'ping', () => calls.push('first'));
+  bag.add(target, 'ping', () => calls.push('second'));
+  remove();
+  fire(target, 'ping');
+
+  assert.deepEqual(calls, ['second']);
+  assert.equal(bag.entries.length, 1);
+});
+
+test('capture listeners are removed with their options', () => {
+  const bag = new ListenerBag();
+  const target = new EventTarget();
+  let calls = 0;
+
+  bag.add(target, 'ping', () => calls++, { capture: true });
+  bag.clear();
+  fire(target, 'ping');
+
+  assert.equal(calls, 0);
+});
@@ -0,0 +1,47 @@
+import { test } from 'vitest';
+import assert from 'node:assert/strict';
+import { ThemeEngine } from '../src/utils/themeEngine.js';
+import { MotionPreference } from '../src/utils/motionPreference.js';
+
+// No localStorage under Node, so these exercise the in-memory fallback
+const themes = [{ id: 'amber' }, { id: 'green' }];
+
+test('a theme choice is mirrored onto the root and announced once', () => {
+  const root = { dataset: {} };
+  const engine = new ThemeEngine({ themes, defaultTheme: 'amber', root });
+  const seen = [];
+  engine.subscribe(id => seen.push(id));
+
+  assert.equal(root.dataset.theme, 'amber');
+  engine.set('green');
+  engine.set('green');
+
+  assert.equal(engine.current, 'green');
+  assert.equal(root.dataset.theme, 'green');
+  assert.deepEqual(seen, ['green']);
+  assert.throws(() => engine.set('blue'), /unknown theme/);
+});
+
+test('cycle wraps around the theme list', () => {
+  const engine = new ThemeEngine({ themes, defaultTheme: 'green', root: null });
+  assert.equal(engine.cycle(), 'amber');
+  assert.equal(engine.cycle(), 'green');
+});
+
+test('the motion override is mirrored as reduce/full and always announced', () => {
+  const root = { dataset: {} };
+  const motion = new MotionPreference({ root });
+  const seen = [];
+  motion.subscribe(reduced => seen.push(reduced));
+
+  assert.equal(root.dataset.motion, 'full');
+  motion.setOverride('reduce');
+  assert.equal(motion.reduced, true);
+  assert.equal(root.dataset.motion, 'reduce');
+  motion.setOverride('reduce');
+  motion.setOverride(null);
+
+  assert.equal(motion.override, null);
+  assert.equal(root.dataset.motion, 'full');
+  assert.deepEqual(seen, [true, true, false]);
+});
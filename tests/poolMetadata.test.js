@@ -0,0 +1,37 @@
+import { test } from 'vitest';
+import assert from 'node:assert/strict';
+import { POOL_METADATA, POOL_EXTENDED_METADATA } from '../src/config/pool.js';
+import {
+  validatePoolMetadata,
+  validateExtendedMetadata,
+  renderExtendedMetadata,
+  poolMetadataHash
+} from '../src/utils/poolMetadata.js';
+
+const withInfo = (info) => ({ ...POOL_EXTENDED_METADATA, info: { ...POOL_EXTENDED_METADATA.info, ...info } });
+
+test('the configured metadata is valid', () => {
+  assert.deepEqual(validatePoolMetadata(POOL_METADATA), []);
+  assert.deepEqual(validateExtendedMetadata(POOL_EXTENDED_METADATA), []);
+  assert.match(poolMetadataHash(), /^[0-9a-f]{64}$/);
+});
+
+test('extended metadata images must not use URL shorteners', () => {
+  const errors = validateExtendedMetadata(withInfo({
+    url_png_icon_64x64: 'https://tinyurl.com/y3redcvz',
+    url_png_logo: 'https://www.bit.ly/logo'
+  }));
+
+  assert.equal(errors.length, 2);
+  errors.forEach(error => assert.match(error, /uses a URL shortener/));
+  assert.throws(() => renderExtendedMetadata(withInfo({ url_png_logo: 'https://t.co/abc' })), /url_png_logo/);
+});
+
+test('lookalike hosts are not mistaken for shorteners', () => {
+  assert.deepEqual(validateExtendedMetadata(withInfo({ url_png_logo: 'https://notbit.ly/logo.png' })), []);
+});
+
+test('main metadata links must not use URL shorteners', () => {
+  const errors = validatePoolMetadata({ ...POOL_METADATA, homepage: 'https://tinyurl.com/home' });
+  assert.deepEqual(errors, ['homepage "https://tinyurl.com/home" uses a URL shortener; link the target directly']);
+});
@@ -0,0 +1,30 @@
+import { test, vi } from 'vitest';
+import assert from 'node:assert/strict';
+import { experimental_AstroContainer as AstroContainer } from 'astro/container';
+
+// Render /pool as if the example snapshot were in place and a pool id were set
+const POOL_ID = 'pool1testtesttesttesttesttesttesttesttesttesttesttesttest';
+
+vi.mock('../src/config/pool.js', async (importOriginal) => ({
+  ...(await importOriginal()),
+  POOL_ID
+}));
+
+vi.mock('../src/utils/poolStats.js', async (importOriginal) => {
+  const actual = await importOriginal();
+  const { default: example } = await import('../src/data/poolStats.example.json');
+  return { ...actual, getPoolSnapshot: (limit) => actual.normalizePoolSnapshot(example, limit) };
+});
+
+const { default: PoolPage } = await import('../src/pages/pool.astro');
+
+test('the snapshot branch renders stats, history and the pool id', async () => {
+  const container = await AstroContainer.create();
+  const html = await container.renderToString(PoolPage);
+
+  assert.doesNotMatch(html, /NO STATS SNAPSHOT/);
+  assert.match(html, /SATURATION/);
+  assert.match(html, /EPOCH HISTORY/);
+  assert.match(html, /BLOCKS \/ STAKE/);
+  assert.ok(html.includes(`https://cardanoscan.io/pool/${POOL_ID}`));
+});
@@ -0,0 +1,29 @@
+import { test } from 'vitest';
+import assert from 'node:assert/strict';
+import example from '../src/data/poolStats.example.json';
+import { normalizePoolSnapshot, saturationLevel, formatAda, formatMargin } from '../src/utils/poolStats.js';
+
+test('the example snapshot is in the expected format', () => {
+  const snapshot = normalizePoolSnapshot(example);
+  const epochs = snapshot.epochs.map(epoch => epoch.epoch);
+
+  assert.ok(epochs.length > 1 && epochs.length <= 10);
+  assert.deepEqual(epochs, [...epochs].sort((a, b) => b - a));
+  assert.equal(normalizePoolSnapshot(example, 3).epochs.length, 3);
+});
+
+test('a snapshot needs a saturation figure', () => {
+  assert.throws(() => normalizePoolSnapshot({ epochs: [] }), /needs at least saturation/);
+  assert.deepEqual(normalizePoolSnapshot({ saturation: 12 }).epochs, []);
+});
+
+test('saturation levels and amounts are formatted for the page', () => {
+  assert.equal(saturationLevel(120).label, 'OVERSATURATED');
+  assert.equal(saturationLevel(95).label, 'NEAR SATURATION');
+  assert.equal(saturationLevel(-1).label, 'OPEN');
+  assert.equal(formatAda(1_234_567_890_000), '1.23M ₳');
+  assert.equal(formatAda(5_500_000_000), '5.5K ₳');
+  assert.equal(formatAda('340000000'), '340 ₳');
+  assert.equal(formatAda('not a number'), '--');
+  assert.equal(formatMargin(0.015), '1.5%');
+});
@@ -0,0 +1,108 @@
+import { test } from 'vitest';
+import assert from 'node:assert/strict';
+import { getPostStats, getArchiveStats, readingTime, READING_RATES } from '../src/utils/postStats.js';
+
+test('empty input has no words and reads in one minute', () => {
+  assert.deepEqual(getPostStats(''), {
+    words: 0,
+    codeLines: 0,
+    codeBlocks: 0,
+    headings: 0,
+    links: 0,
+    images: 0,
+    readingTime: 1
+  });
+  assert.equal(getPostStats().words, 0);
+});
+
+test('plain prose counts words', () => {
+  assert.equal(getPostStats('The quick brown fox, jumps over the lazy dog.').words, 9);
+  assert.equal(getPostStats("Don't split contractions or well-known compounds").words, 6);
+});
+
+test('fenced code counts as code lines, not words', () => {
+  const stats = getPostStats([
+    'Before the fence.',
+    '```js',
+    'const a = 1;',
+    '',
+    'const b = 2;',
+    '```',
+    '~~~',
+    'echo hi',
+    '~~~',
+    'After.'
+  ].join('\n'));
+
+  assert.equal(stats.words, 4);
+  assert.equal(stats.codeLines, 3);
+  assert.equal(stats.codeBlocks, 2);
+});
+
+test('an unclosed fence runs to the end of the post', () => {
+  const stats = getPostStats('Intro words here.\n```\nline one\nline two');
+  assert.equal(stats.words, 3);
+  assert.equal(stats.codeLines, 2);
+  assert.equal(stats.codeBlocks, 1);
+});
+
+test('a longer closing fence still closes the block', () => {
+  const stats = getPostStats('```\ncode\n`````\nprose after');
+  assert.equal(stats.codeLines, 1);
+  assert.equal(stats.words, 2);
+});
+
+test('inline code stays in the prose word count', () => {
+  const stats = getPostStats('Run `npm install` first.');
+  assert.equal(stats.words, 4);
+  assert.equal(stats.codeLines, 0);
+});
+
+test('links count their label, not their URL', () => {
+  const stats = getPostStats('See [the docs](https://example.com/a/long/path "Title") and [a ref][docs].\n\n[docs]: https://example.com');
+  assert.equal(stats.words, 6);
+  assert.equal(stats.links, 2);
+});
+
+test('images count their alt text, not their URL', () => {
+  const stats = getPostStats('![pool logo](/images/logo.png) and <img src="/x.png" alt="ignored">');
+  assert.equal(stats.words, 3);
+  assert.equal(stats.images, 2);
+  assert.equal(stats.links, 0);
+});
+
+test('bare URLs and autolinks are links, not words', () => {
+  const stats = getPostStats('Visit https://example.com/some/page or <https://example.org> today');
+  assert.equal(stats.words, 3);
+  assert.equal(stats.links, 2);
+});
+
+test('frontmatter is ignored', () => {
+  const stats = getPostStats('---\ntitle: Hello world\ntags: [a, b]\n---\nJust this.');
+  assert.equal(stats.words, 2);
+});
+
+test('HTML comments are ignored, even around fences', () => {
+  const stats = getPostStats('Visible <!-- hidden words\n```\nnot code\n``` --> text');
+  assert.equal(stats.words, 2);
+  assert.equal(stats.codeLines, 0);
+});
+
+test('headings are counted and their text is prose', () => {
+  const stats = getPostStats('# Title\n\n## Part two\n\n#not-a-heading');
+  assert.equal(stats.headings, 2);
+  assert.equal(stats.words, 4);
+});
+
+test('reading time charges code at its own rate', () => {
+  assert.equal(readingTime(0), 1);
+  assert.equal(readingTime(READING_RATES.wordsPerMinute), 1);
+  assert.equal(readingTime(READING_RATES.wordsPerMinute + 1), 2);
+  assert.equal(readingTime(READING_RATES.wordsPerMinute, READING_RATES.codeLinesPerMinute), 2);
+  assert.equal(readingTime(10, 5, { wordsPerMinute: 10, codeLinesPerMinute: 1 }), 6);
+});
+
+test('archive stats sum every post', () => {
+  const posts = ['one two three', '```\na\nb\n```'].map(body => getPostStats(body));
+  assert.deepEqual(getArchiveStats(posts), { posts: 2, words: 3, codeLines: 2, readingTime: 2 });
+});
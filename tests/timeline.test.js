@@ -0,0 +1,225 @@
+import { test } from 'vitest';
+import assert from 'node:assert/strict';
+import { ManualClock, Scheduler, Timeline, delay } from '../src/utils/timeline.js';
+
+/**
+ * A scheduler on a hand-cranked clock, plus a log for step callbacks
+ */
+function setup() {
+  const clock = new ManualClock();
+  const scheduler = new Scheduler({ clock });
+  const log = [];
+  const timeline = (config) => new Timeline({ scheduler, ...config });
+  const mark = (name) => () => log.push(`${name}@${clock.now()}`);
+  return { clock, scheduler, log, timeline, mark };
+}
+
+test('sequence runs children one after another', () => {
+  const { clock, log, timeline, mark } = setup();
+  const first = timeline().call(mark('first:start')).wait(100).call(mark('first:end'));
+  const second = timeline().call(mark('second:start')).wait(50).call(mark('second:end'));
+  const root = timeline().sequence(first, second);
+
+  assert.equal(root.duration, 150);
+  root.play();
+  assert.deepEqual(log, ['first:start@0']);
+
+  clock.advance(100, 10);
+  assert.deepEqual(log, ['first:start@0', 'first:end@100', 'second:start@100']);
+
+  clock.advance(50, 10);
+  assert.deepEqual(log.slice(3), ['second:end@150']);
+  assert.equal(root.state, 'complete');
+  assert.equal(first.state, 'complete');
+  assert.equal(second.state, 'complete');
+});
+
+test('parallel starts children together and lasts as long as the longest', () => {
+  const { clock, log, timeline, mark } = setup();
+  const short = timeline().wait(40).call(mark('short'));
+  const long = timeline().wait(100).call(mark('long'));
+  const root = timeline().parallel(short, long).call(mark('after'));
+
+  assert.equal(root.duration, 100);
+  root.play();
+  clock.advance(40, 10);
+  assert.deepEqual(log, ['short@40']);
+
+  clock.advance(60, 10);
+  assert.deepEqual(log, ['short@40', 'long@100', 'after@100']);
+});
+
+test('labels and offsets place steps in time', async () => {
+  const { clock, log, timeline, mark } = setup();
+  const root = timeline()
+    .wait(100)
+    .label('middle')
+    .wait(100)
+    .call(mark('at-middle'), { at: 'middle' })
+    .call(mark('at-30'), { at: 30 })
+    .call(mark('end'));
+
+  assert.equal(root.labels.get('middle'), 100);
+  root.play();
+  clock.advance(200, 10);
+  assert.deepEqual(log, ['at-30@30', 'at-middle@100', 'end@200']);
+  assert.equal(await root.finished, true);
+
+  assert.throws(() => timeline().call(() => {}, { at: 'nowhere' }), /unknown label "nowhere"/);
+});
+
+test('tweens report progress and finish at 1', () => {
+  const { clock, timeline } = setup();
+  const progress = [];
+  timeline().tween(100, value => progress.push(value)).play();
+
+  clock.advance(100, 25);
+  assert.deepEqual(progress, [0, 0.25, 0.5, 0.75, 1]);
+});
+
+test('pause freezes time and resume continues from the same point', () => {
+  const { clock, log, timeline, mark } = setup();
+  const root = timeline().wait(100).call(mark('done')).play();
+
+  clock.advance(50, 10);
+  root.pause();
+  assert.equal(root.state, 'paused');
+  clock.advance(500, 10);
+  assert.equal(root.time, 50);
+  assert.deepEqual(log, []);
+
+  root.resume();
+  clock.advance(40, 10);
+  assert.deepEqual(log, []);
+  clock.advance(10, 10);
+  assert.deepEqual(log, ['done@600']);
+});
+
+test('seek fires steps passed over and undoes steps seeked back over', () => {
+  const { timeline } = setup();
+  const log = [];
+  const root = timeline()
+    .call(() => log.push('a'), { undo: () => log.push('undo a') })
+    .wait(50)
+    .label('b')
+    .call(() => log.push('b'), { undo: () => log.push('undo b') })
+    .wait(50)
+    .call(() => log.push('c'), { undo: () => log.push('undo c') });
+
+  root.seek('b');
+  assert.deepEqual(log, ['a', 'b']);
+
+  root.seek(0);
+  assert.deepEqual(log, ['a', 'b', 'undo b']);
+
+  root.seek(100);
+  assert.deepEqual(log, ['a', 'b', 'undo b', 'b', 'c']);
+  assert.equal(root.state, 'idle');
+
+  root.seek(25);
+  assert.deepEqual(log.slice(5), ['undo c', 'undo b']);
+});
+
+test('seeking a playing timeline to the end completes it', async () => {
+  const { timeline } = setup();
+  const root = timeline().wait(100).play();
+  root.seek(1000);
+  assert.equal(root.time, 100);
+  assert.equal(root.state, 'complete');
+  assert.equal(await root.finished, true);
+});
+
+test('timeScale speeds up or freezes the scheduler and single timelines', () => {
+  const { clock, scheduler, log, timeline, mark } = setup();
+  scheduler.timeScale = 2;
+  timeline().wait(100).call(mark('global')).play();
+  timeline({ timeScale: 0.5 }).wait(100).call(mark('local')).play();
+
+  clock.advance(50, 10);
+  assert.deepEqual(log, ['global@50']);
+
+  clock.advance(50, 10);
+  assert.deepEqual(log, ['global@50', 'local@100']);
+
+  scheduler.timeScale = -1;
+  assert.equal(scheduler.timeScale, 0);
+  const frozen = timeline().wait(10).call(mark('frozen')).play();
+  clock.advance(100, 10);
+  assert.equal(frozen.time, 0);
+  assert.deepEqual(log.length, 2);
+});
+
+test('a nested timeline runs at its own timeScale inside the parent', () => {
+  const { clock, log, timeline, mark } = setup();
+  const fast = timeline({ timeScale: 2 }).wait(100).call(mark('fast'));
+  const slow = timeline({ timeScale: 0.5 }).wait(20).call(mark('slow'));
+  const root = timeline().sequence(fast, slow).call(mark('after'));
+
+  assert.equal(root.duration, 90);
+  root.play();
+  clock.advance(50, 10);
+  assert.deepEqual(log, ['fast@50']);
+  assert.equal(fast.state, 'complete');
+
+  clock.advance(20, 10);
+  assert.equal(slow.time, 10);
+
+  clock.advance(20, 10);
+  assert.deepEqual(log, ['fast@50', 'slow@90', 'after@90']);
+
+  const parallel = timeline().parallel(timeline({ timeScale: 4 }).wait(100), timeline().wait(10)).wait(5);
+  assert.equal(parallel.duration, 30);
+});
+
+test('cancelling a parent cancels nested and linked children, and nothing fires afterwards', async () => {
+  const { clock, scheduler, log, timeline, mark } = setup();
+  const cancelled = [];
+  const root = timeline({ onCancel: () => cancelled.push('root') });
+  const nested = timeline({ onCancel: () => cancelled.push('nested') }).wait(100).call(mark('nested'));
+  const linked = timeline({ parent: root, onCancel: () => cancelled.push('linked') }).wait(100).call(mark('linked'));
+  const grandchild = timeline({ parent: linked, onCancel: () => cancelled.push('grandchild') }).wait(100).call(mark('grandchild'));
+
+  root.add(nested).call(mark('root'));
+  root.play();
+  linked.play();
+  grandchild.play();
+
+  clock.advance(50, 10);
+  root.cancel();
+
+  assert.deepEqual(cancelled.sort(), ['grandchild', 'linked', 'nested', 'root']);
+  assert.equal(scheduler.timelines.size, 0);
+  assert.equal(scheduler.frameId, null);
+
+  clock.advance(500, 10);
+  assert.deepEqual(log, []);
+
+  const results = await Promise.all([root, nested, linked, grandchild].map(t => t.finished));
+  assert.deepEqual(results, [false, false, false, false]);
+
+  // Cancelled timelines stay stopped
+  root.play();
+  root.seek(100);
+  assert.deepEqual(log, []);
+});
+
+test('a cancelled child is dropped from its parent links', () => {
+  const { timeline } = setup();
+  const root = timeline();
+  const child = timeline({ parent: root });
+  child.cancel();
+  assert.equal(root.links.has(child), false);
+  assert.equal(root.state, 'idle');
+});
+
+test('delay resolves on the scheduler, or false when its parent is cancelled', async () => {
+  const { clock, scheduler, timeline } = setup();
+  const waited = delay(30, { scheduler });
+  clock.advance(30, 10);
+  assert.equal(await waited, true);
+
+  const parent = timeline();
+  const interrupted = delay(30, { scheduler, parent });
+  parent.cancel();
+  assert.equal(await interrupted, false);
+});
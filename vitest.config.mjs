@@ -0,0 +1,9 @@
+// @ts-check
+// getViteConfig loads astro.config.mjs so tests can compile and render .astro files
+import { getViteConfig } from 'astro/config';
+
+export default getViteConfig({
+  test: {
+    include: ['tests/**/*.test.js']
+  }
+});